@@ -0,0 +1,92 @@
+/**
+ * VitalSource PDF Downloader - Image Archive Writer
+ * Exports captured pages as numbered image files in a ZIP, with a JSON
+ * manifest (page labels, dimensions, chapter titles), or as a CBZ for comic
+ * readers, which carries the same information in a ComicInfo.xml.
+ */
+
+(function () {
+    'use strict';
+
+    const { escapeXml } = ZipWriter;
+
+    // Outline tree ([{ title, pageIndex, children }]) as a flat list in reading order
+    function flattenOutline(items, level = 1) {
+        return items.flatMap((item) => [
+            { title: item.title, level, pageIndex: item.pageIndex },
+            ...flattenOutline(item.children, level + 1),
+        ]);
+    }
+
+    class ImageArchiveWriter {
+        // kind: 'zip' or 'cbz'
+        constructor(kind = 'zip') {
+            this.kind = kind;
+            this.zip = new ZipWriter();
+            this.pages = [];
+        }
+
+        get pageCount() {
+            return this.pages.length;
+        }
+
+        // page: { data: Blob, format: 'jpeg' | 'png', width, height, label }
+        async addPage(page) {
+            const number = String(this.pages.length + 1).padStart(4, '0');
+            const file = `${number}.${page.format === 'png' ? 'png' : 'jpg'}`;
+            await this.zip.addFile(file, page.data);
+            this.pages.push({ file, label: page.label || '', width: page.width, height: page.height });
+        }
+
+        manifest(title, outline) {
+            return JSON.stringify({
+                title,
+                pageCount: this.pages.length,
+                pages: this.pages,
+                chapters: flattenOutline(outline).map(({ title: chapter, level, pageIndex }) => ({
+                    title: chapter,
+                    level,
+                    file: this.pages[pageIndex].file,
+                    label: this.pages[pageIndex].label,
+                })),
+            }, null, 2);
+        }
+
+        // ComicRack's metadata format; chapters become page bookmarks
+        comicInfo(title, outline) {
+            const bookmarks = new Map();
+            flattenOutline(outline).forEach(({ title: chapter, pageIndex }) => {
+                if (!bookmarks.has(pageIndex)) bookmarks.set(pageIndex, chapter);
+            });
+
+            const pages = this.pages.map((page, i) => {
+                const bookmark = bookmarks.has(i) ? ` Bookmark="${escapeXml(bookmarks.get(i))}"` : '';
+                return `    <Page Image="${i}" ImageWidth="${page.width}" ImageHeight="${page.height}"${bookmark} />`;
+            });
+
+            return [
+                '<?xml version="1.0" encoding="utf-8"?>',
+                '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+                `  <Title>${escapeXml(title)}</Title>`,
+                `  <PageCount>${this.pages.length}</PageCount>`,
+                '  <Pages>',
+                ...pages,
+                '  </Pages>',
+                '</ComicInfo>',
+            ].join('\n');
+        }
+
+        async finish({ title = '', outline = [] } = {}) {
+            if (this.kind === 'cbz') {
+                await this.zip.addFile('ComicInfo.xml', this.comicInfo(title, outline));
+                return this.zip.finish('application/vnd.comicbook+zip');
+            }
+            await this.zip.addFile('manifest.json', this.manifest(title, outline));
+            return this.zip.finish('application/zip');
+        }
+    }
+
+    ImageArchiveWriter.flattenOutline = flattenOutline;
+
+    globalThis.ImageArchiveWriter = ImageArchiveWriter;
+})();
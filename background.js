@@ -0,0 +1,306 @@
+/**
+ * VitalSource PDF Downloader - Background Service Worker
+ * Forwards the extension's keyboard shortcuts (see "commands" in the
+ * manifest) to the reader in the active tab, saves the files captures
+ * produce through the downloads API, and owns each tab's running capture
+ * job. Once the tab has set a capture up and journaled it, this worker
+ * decides what happens next and drives the tab one command at a time:
+ * open a run, capture a page and turn to the next, close the run, close
+ * the job. The tab (content.js) carries the commands out on the reader,
+ * the only place that can reach the page and its frames, and keeps the
+ * journal and captured pages. The worker keeps the job's progress on the
+ * toolbar badge, stops it after repeated errors or when asked, notifies
+ * when it ends, and picks it up again when the tab reloads.
+ */
+
+(function () {
+    'use strict';
+
+    const COMMAND_MESSAGES = {
+        'capture-page': 'VS_DOWNLOAD_PAGE',
+        'open-capture': 'VS_OPEN_MODAL',
+        'clip-region': 'VS_CLIP_REGION',
+        'stop-capture': 'VS_STOP_CAPTURE',
+    };
+
+    const JOBS_KEY = 'jobs'; // running captures by tab ID, in session storage
+    const MAX_RESUMES = 3; // Reloads in a row without a new page before a capture is given up
+    const MAX_ERRORS = 3; // Failed steps in a row before a capture is stopped
+    const BADGE_COLOR = '#4a90d9';
+
+    chrome.commands.onCommand.addListener(async (command, tab) => {
+        const type = COMMAND_MESSAGES[command];
+        if (!type || !tab?.id) return;
+
+        try {
+            await chrome.tabs.sendMessage(tab.id, { type });
+        } catch {
+            // Not a VitalSource reader tab: nothing to do
+        }
+    });
+
+    // Jobs: { sessionId, title, current, total, files, folder, resumes,
+    // phase, runIndex, saved, stopping, reason, step }. phase is the next
+    // thing to do: 'prepare' (after a reload), 'open' the run at runIndex,
+    // 'step' through it, 'close-run', 'close-job', or 'waiting' for the tab
+    // to come back. step holds the open run's { previous, turnPending,
+    // errors, retry, capturedNow } between pages. Jobs are kept in session
+    // storage because the worker is stopped whenever it is idle; updates are
+    // queued so none is lost.
+    let jobsQueue = Promise.resolve();
+
+    async function getJobs() {
+        const stored = await chrome.storage.session.get(JOBS_KEY);
+        return stored[JOBS_KEY] || {};
+    }
+
+    // Replaces the tab's job with update(job), or removes it when update is
+    // null or returns nothing. Resolves with the job before and after.
+    function updateJob(tabId, update) {
+        const result = jobsQueue.then(async () => {
+            const jobs = await getJobs();
+            const before = jobs[tabId] || null;
+            const after = (update && update(before)) || null;
+            if (after) jobs[tabId] = after;
+            else delete jobs[tabId];
+            await chrome.storage.session.set({ [JOBS_KEY]: jobs });
+            return { before, after };
+        });
+        jobsQueue = result.catch(() => {});
+        return result;
+    }
+
+    // Percent done when the total is known, otherwise the pages so far
+    function showProgress(tabId, job) {
+        const { current = 0, total } = job;
+        const text = total > 0 ? `${Math.min(99, Math.floor((current / total) * 100))}%` : String(current);
+        chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLOR }).catch(() => {});
+        chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+    }
+
+    function clearProgress(tabId) {
+        chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {});
+    }
+
+    function notify(job, title, message) {
+        const where = job.files > 0 && job.folder ? ` Files are in Downloads/${job.folder}.` : '';
+        chrome.notifications.create(`vs-job-${job.sessionId}`, {
+            type: 'basic',
+            iconUrl: 'icon.png',
+            title: `${title}: ${job.title}`,
+            message: `${message}${where}`.trim(),
+        });
+    }
+
+    // Sends a job command to the tab and resolves with its reply. Rejects
+    // when the tab reloaded, navigated away or closed before replying, and
+    // with a gone error when the tab has moved on to another session.
+    async function command(tabId, type, fields) {
+        const reply = await chrome.tabs.sendMessage(tabId, { type, ...fields });
+        if (!reply) throw new Error(`No reply to ${type}`);
+        if (reply.result === 'gone') {
+            const error = new Error('The tab has started another capture');
+            error.gone = true;
+            throw error;
+        }
+        return reply;
+    }
+
+    function newStep() {
+        return { previous: null, turnPending: false, errors: 0, retry: null, capturedNow: 0 };
+    }
+
+    // Carries out the job's phase and resolves with the changes to make to
+    // it, or { done: true } once it has ended
+    async function advanceJob(tabId, job) {
+        const { sessionId, runIndex, step } = job;
+
+        if (job.phase === 'prepare') {
+            const { ok } = await command(tabId, 'VS_JOB_PREPARE', { sessionId });
+            return { phase: ok ? 'open' : 'close-job' };
+        }
+
+        if (job.phase === 'open') {
+            if (job.stopping) return { phase: 'close-job' };
+            const { result } = await command(tabId, 'VS_RUN_OPEN', { sessionId, runIndex });
+            if (result === 'ready') return { phase: 'step', step: newStep() };
+            if (result === 'complete') return { runIndex: runIndex + 1 };
+            if (result === 'finished') return { phase: 'close-run', reason: 'finished', step: newStep() };
+            return { phase: 'close-job' }; // no runs left, or the run's page wasn't found
+        }
+
+        if (job.phase === 'step') {
+            if (job.stopping) return { phase: 'close-run', reason: 'stopped' };
+            const reply = await command(tabId, 'VS_PAGE_STEP', { sessionId, runIndex, ...step, maxErrors: MAX_ERRORS });
+            const progress = { current: reply.current, total: reply.total, ...(reply.captured > 0 ? { resumes: 0 } : {}) };
+            const next = { ...step, previous: reply.previous, turnPending: reply.turnPending, capturedNow: step.capturedNow + reply.captured };
+
+            if (reply.result === 'captured') return { ...progress, step: { ...next, errors: 0, retry: null } };
+            if (reply.result === 'error') {
+                // A page captured before the error breaks the run of errors
+                const errors = (reply.checked ? 0 : step.errors) + 1;
+                const failed = { ...next, errors, retry: reply.message };
+                return errors >= MAX_ERRORS
+                    ? { ...progress, phase: 'close-run', reason: 'errors', step: failed }
+                    : { ...progress, step: failed };
+            }
+            return { ...progress, phase: 'close-run', reason: reply.result, step: next }; // finished, stopped or write-failed
+        }
+
+        if (job.phase === 'close-run') {
+            await command(tabId, 'VS_RUN_CLOSE', { sessionId, runIndex, reason: job.reason, errors: step.errors, message: step.retry });
+            const saved = job.saved + (step.capturedNow > 0 ? 1 : 0);
+            return job.reason === 'finished' && !job.stopping
+                ? { saved, phase: 'open', runIndex: runIndex + 1, step: null }
+                : { saved, phase: 'close-job' };
+        }
+
+        if (job.phase === 'close-job') {
+            const { complete, summary } = await command(tabId, 'VS_JOB_CLOSE', { sessionId, saved: job.saved });
+            clearProgress(tabId);
+            notify(job, complete ? 'Capture finished' : 'Capture stopped', summary || '');
+            return { done: true };
+        }
+
+        return { phase: 'waiting' };
+    }
+
+    // Tabs whose job this worker is driving
+    const driving = new Set();
+
+    // Drives the tab's job until it ends or loses its tab. Changes are only
+    // kept while the job is the one they were worked out for: a new capture
+    // started in the tab, or the tab reloading, takes over.
+    async function driveJob(tabId) {
+        if (driving.has(tabId)) return;
+        driving.add(tabId);
+        try {
+            let job = (await getJobs())[tabId];
+            while (job && job.phase !== 'waiting') {
+                const seen = job;
+                let changes;
+                try {
+                    changes = await advanceJob(tabId, job);
+                } catch (e) {
+                    console.warn(`[VS-PDF] Tab ${tabId} stopped answering the capture:`, e.message);
+                    // A reloaded reader reports back with VS_TAB_READY
+                    changes = e.gone ? { done: true } : { phase: 'waiting' };
+                    if (e.gone) clearProgress(tabId);
+                }
+                ({ after: job } = await updateJob(tabId, (current) => {
+                    if (current?.sessionId !== seen.sessionId || current.resumes !== seen.resumes) return current;
+                    return changes.done ? null : { ...current, ...changes };
+                }));
+                if (job && changes.current !== undefined) showProgress(tabId, job);
+            }
+        } finally {
+            driving.delete(tabId);
+        }
+    }
+
+    // The tab names files and folders already; this only keeps a path from
+    // escaping the Downloads folder or using characters it can't hold
+    function cleanPathPart(name) {
+        return String(name).replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').replace(/^[.\s]+|[.\s]+$/g, '') || 'download';
+    }
+
+    // Saves a file the tab made (one of its blob: URLs) under Downloads/folder,
+    // numbering it rather than replacing a file of the same name. Resolves
+    // with the final path once the download has finished, so the tab knows
+    // when it can release the blob.
+    async function saveFile({ url, filename, folder }) {
+        const path = folder ? `${cleanPathPart(folder)}/${cleanPathPart(filename)}` : cleanPathPart(filename);
+        const id = await chrome.downloads.download({ url, filename: path, conflictAction: 'uniquify', saveAs: false });
+
+        return new Promise((resolve, reject) => {
+            const settle = (item) => {
+                if (!item || item.state === 'in_progress') return;
+                chrome.downloads.onChanged.removeListener(listener);
+                if (item.state === 'complete') resolve(item.filename);
+                else reject(new Error(`Download failed: ${item.error || 'interrupted'}`));
+            };
+            const listener = (delta) => {
+                if (delta.id === id && delta.state) chrome.downloads.search({ id }).then(([item]) => settle(item));
+            };
+            chrome.downloads.onChanged.addListener(listener);
+            // A small file may already be done
+            chrome.downloads.search({ id }).then(([item]) => settle(item));
+        });
+    }
+
+    // Messages from reader tabs. Replies that need async work keep the
+    // channel open by returning true.
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        const tabId = sender.tab?.id;
+        if (sender.id !== chrome.runtime.id || tabId === undefined) return;
+
+        if (message?.type === 'VS_SAVE_FILE') {
+            saveFile(message).then(
+                async (filename) => {
+                    await updateJob(tabId, (job) => job && { ...job, files: job.files + 1, folder: cleanPathPart(message.folder) });
+                    sendResponse({ success: true, filename });
+                },
+                (error) => sendResponse({ success: false, error: error.message })
+            );
+            return true;
+        }
+
+        // The tab has journaled a new session, or one to resume from the
+        // capture dialog, which keeps its files and resume count
+        if (message?.type === 'VS_JOB_START') {
+            const { sessionId, title, total } = message;
+            updateJob(tabId, (job) => ({
+                sessionId, title, total, current: 0, files: 0, folder: null, resumes: 0,
+                ...(job?.sessionId === sessionId ? { current: job.current, files: job.files, folder: job.folder, resumes: job.resumes } : {}),
+                phase: 'open', runIndex: 0, saved: 0, stopping: false, reason: null, step: null,
+            })).then(({ after }) => {
+                showProgress(tabId, after);
+                sendResponse({ ok: true });
+                driveJob(tabId);
+            });
+            return true;
+        }
+
+        // The Stop button, the popup or the shortcut: the job ends once the
+        // command the tab is carrying out has finished
+        if (message?.type === 'VS_JOB_STOP') {
+            updateJob(tabId, (job) => job && { ...job, stopping: true });
+        }
+
+        // Sent by a reader tab that loaded while its journal said a capture
+        // was running, or that hasn't heard from this worker for a while.
+        // A page that keeps reloading without capturing anything new is
+        // given up on.
+        if (message?.type === 'VS_TAB_READY') {
+            updateJob(tabId, (job) => {
+                if (job?.sessionId !== message.sessionId || job.resumes >= MAX_RESUMES) return null;
+                return { ...job, resumes: job.resumes + 1, phase: 'prepare' };
+            }).then(({ before, after }) => {
+                if (after) {
+                    driveJob(tabId);
+                    return;
+                }
+                clearProgress(tabId);
+                if (before?.sessionId === message.sessionId) {
+                    notify(before, 'Capture stopped', 'The reader kept reloading, so the capture was not resumed. You can resume it from the capture dialog.');
+                }
+            });
+        }
+    });
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+        updateJob(tabId, null);
+    });
+
+    // A worker that was stopped in the middle of a job picks it up again.
+    // A page the tab may have been capturing meanwhile is found again from
+    // its journal; jobs waiting for their tab to come back are left alone.
+    getJobs().then((jobs) => {
+        Object.entries(jobs).forEach(([tabId, job]) => {
+            if (job.phase === 'waiting') return;
+            const id = Number(tabId);
+            updateJob(id, (current) => current && { ...current, phase: current.phase === 'step' ? 'prepare' : current.phase })
+                .then(() => driveJob(id));
+        });
+    });
+})();
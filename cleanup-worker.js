@@ -0,0 +1,201 @@
+/**
+ * VitalSource PDF Downloader - Cleanup Worker
+ * Page image cleanup, run in a worker started by the cleanup frame
+ * (cleanup.js) so decoding and pixel work stay off the reader's thread.
+ * Measures where a page's content is, for margin trimming, and produces
+ * the cleaned page: cropped, background whitened and contrast stretched,
+ * or as a bitonal or night (inverted) rendition.
+ */
+
+'use strict';
+
+const MEASURE_SIZE = 400; // Longest side pages are measured at, in pixels
+const INK_CONTRAST = 48; // Luminance difference from the background that counts as ink
+const INK_SHARE = 0.004; // Share of a row or column that must be ink for it to hold content
+const NIGHT_RANGE = [24, 224]; // Luminance of night pages' background and text
+
+function luminance(r, g, b) {
+    return r * 0.299 + g * 0.587 + b * 0.114;
+}
+
+// Box around everything that differs from the background, as fractions of
+// the page ({ left, top, right, bottom }), or null for a blank page. The
+// background is the median luminance along the page's edges.
+async function measure(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, MEASURE_SIZE / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const ctx = new OffscreenCanvas(width, height).getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const values = new Float32Array(width * height);
+    for (let i = 0; i < values.length; i++) values[i] = luminance(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+
+    const edge = [];
+    for (let x = 0; x < width; x++) edge.push(values[x], values[(height - 1) * width + x]);
+    for (let y = 0; y < height; y++) edge.push(values[y * width], values[y * width + width - 1]);
+    edge.sort((a, b) => a - b);
+    const background = edge[edge.length >> 1];
+
+    const rows = new Uint32Array(height);
+    const columns = new Uint32Array(width);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (Math.abs(values[y * width + x] - background) > INK_CONTRAST) {
+                rows[y]++;
+                columns[x]++;
+            }
+        }
+    }
+
+    // Single stray pixels (dust, noise) don't count as content
+    const holdsContent = (size) => (count) => count >= Math.max(2, size * INK_SHARE);
+    const top = rows.findIndex(holdsContent(width));
+    if (top === -1) return null;
+    const bottom = rows.findLastIndex(holdsContent(width));
+    const left = columns.findIndex(holdsContent(height));
+    const right = columns.findLastIndex(holdsContent(height));
+    if (left === -1) return null;
+
+    return { left: left / width, top: top / height, right: (right + 1) / width, bottom: (bottom + 1) / height };
+}
+
+// Levels that map the paper to white and the darkest ink to black. The
+// paper is the most common bright luminance, the ink the darkest 1% of the
+// page; a little below the paper also turns white, to clear its grain.
+function getLevels(histogram, total) {
+    let white = 255;
+    let peak = 0;
+    for (let value = 128; value < 256; value++) {
+        if (histogram[value] > peak) {
+            peak = histogram[value];
+            white = value;
+        }
+    }
+
+    let black = 0;
+    for (let count = 0; black < white; black++) {
+        count += histogram[black];
+        if (count >= total * 0.01) break;
+    }
+    black = Math.min(black, 96);
+    return { black, white: Math.max(white - 8, black + 32) };
+}
+
+// Otsu's threshold: the luminance that best splits the page into two
+// groups, ink and paper
+function getThreshold(histogram, total) {
+    let sum = 0;
+    for (let value = 0; value < 256; value++) sum += value * histogram[value];
+
+    let below = 0;
+    let belowSum = 0;
+    let best = 0;
+    let threshold = 128;
+    for (let value = 0; value < 256; value++) {
+        below += histogram[value];
+        if (below === 0) continue;
+        const above = total - below;
+        if (above === 0) break;
+        belowSum += value * histogram[value];
+        const spread = below * above * (belowSum / below - (sum - belowSum) / above) ** 2;
+        if (spread > best) {
+            best = spread;
+            threshold = value;
+        }
+    }
+    return threshold;
+}
+
+// Applies options.enhance and options.tone to RGBA pixels in place
+function adjustPixels(data, { enhance, tone }) {
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < data.length; i += 4) histogram[Math.round(luminance(data[i], data[i + 1], data[i + 2]))]++;
+    const total = data.length / 4;
+
+    if (tone === 'bitonal') {
+        const threshold = getThreshold(histogram, total);
+        for (let i = 0; i < data.length; i += 4) {
+            const value = luminance(data[i], data[i + 1], data[i + 2]) <= threshold ? 0 : 255;
+            data[i] = data[i + 1] = data[i + 2] = value;
+        }
+        return;
+    }
+
+    const { black, white } = enhance ? getLevels(histogram, total) : { black: 0, white: 255 };
+    const stretch = 255 / (white - black);
+    const [dark, light] = NIGHT_RANGE;
+    const clamp = (value) => Math.min(255, Math.max(0, value));
+
+    for (let i = 0; i < data.length; i += 4) {
+        let r = clamp((data[i] - black) * stretch);
+        let g = clamp((data[i + 1] - black) * stretch);
+        let b = clamp((data[i + 2] - black) * stretch);
+
+        // Night flips lightness but keeps hue: each channel moves by the same
+        // amount, so gray inverts and colors stay recognizable
+        if (tone === 'night') {
+            const shift = 255 - 2 * luminance(r, g, b);
+            r = dark + (clamp(r + shift) * (light - dark)) / 255;
+            g = dark + (clamp(g + shift) * (light - dark)) / 255;
+            b = dark + (clamp(b + shift) * (light - dark)) / 255;
+        }
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+    }
+}
+
+// options: { crop ({ left, top, right, bottom } fractions, or null), enhance,
+// tone: 'original' | 'bitonal' | 'night', format, quality (JPEG, 0–1), grayscale }
+// Bitonal pages are always grayscale PNG, which keeps them sharp and small.
+// Returns the encoded page with its size and where the crop started, in pixels.
+async function processPage(blob, options) {
+    const bitmap = await createImageBitmap(blob);
+    const crop = options.crop || { left: 0, top: 0, right: 1, bottom: 1 };
+    const x = Math.round(crop.left * bitmap.width);
+    const y = Math.round(crop.top * bitmap.height);
+    const width = Math.max(1, Math.round(crop.right * bitmap.width) - x);
+    const height = Math.max(1, Math.round(crop.bottom * bitmap.height) - y);
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, -x, -y);
+    bitmap.close();
+
+    if (options.enhance || options.tone !== 'original') {
+        const pixels = ctx.getImageData(0, 0, width, height);
+        adjustPixels(pixels.data, options);
+        ctx.putImageData(pixels, 0, 0);
+    }
+
+    const bitonal = options.tone === 'bitonal';
+    const format = bitonal ? 'png' : options.format;
+    return {
+        blob: await canvas.convertToBlob({ type: `image/${format}`, quality: options.quality }),
+        format,
+        grayscale: bitonal || !!options.grayscale,
+        width,
+        height,
+        x,
+        y,
+    };
+}
+
+// Requests are handled one at a time, in the order they arrive
+let queue = Promise.resolve();
+
+self.addEventListener('message', (event) => {
+    const { requestId, action, image, options } = event.data || {};
+    queue = queue.then(async () => {
+        try {
+            const result = action === 'measure' ? await measure(image) : await processPage(image, options);
+            self.postMessage({ requestId, success: true, result });
+        } catch (error) {
+            self.postMessage({ requestId, success: false, error: error.message || String(error) });
+        }
+    });
+});
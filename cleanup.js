@@ -0,0 +1,34 @@
+/**
+ * VitalSource PDF Downloader - Cleanup Frame
+ * Loaded by content.js as a hidden iframe. Content scripts can't start
+ * workers from extension files, so this frame starts the cleanup worker
+ * (cleanup-worker.js) and passes page images and results between the two.
+ */
+
+(function () {
+    'use strict';
+
+    const worker = new Worker('cleanup-worker.js');
+
+    // The reader page that loaded this frame; replies only go to it
+    const parentOrigin = window.location.ancestorOrigins?.[0];
+
+    function reply(message) {
+        if (parentOrigin) window.parent.postMessage(message, parentOrigin);
+    }
+
+    worker.addEventListener('message', (event) => {
+        const { requestId, success, result, error } = event.data;
+        reply({ type: 'VS_CLEANUP_RESULT', requestId, success, result, error });
+    });
+
+    window.addEventListener('message', (event) => {
+        if (event.source !== window.parent) return;
+        const { type, requestId, action, image, options } = event.data || {};
+        if (type !== 'VS_CLEANUP' || !requestId) return;
+
+        worker.postMessage({ requestId, action, image, options });
+    });
+
+    reply({ type: 'VS_CLEANUP_READY' });
+})();
@@ -10,38 +10,121 @@
 
     console.log('[VS-PDF] Content script loaded');
 
+    const { create: createMessage, parse: parseMessage, randomId, getFrameOrigin } = VsProtocol;
+    const { normalizeLabel, isAtOrPastLabel, offsetLabel, getSpreadLabels, estimateRangeLength } = VsLabels;
+    const { MAX_LENGTH: FILENAME_MAX_LENGTH, sanitizeFilename } = VsFilenames;
+
     const state = {
         isRunning: false,
-        readyFrames: [],
+        nonce: randomId(), // sent with every request; frames' replies must echo it
+        readyFrames: new Map(), // frameId → { frameId, source, hasImage, hasText, visibility, url, page, seen }
         pendingCaptures: {},
         modal: null,
-        pdf: null,
         pageCount: 0,
         firstPageLabel: null,
         lastPageLabel: null,
+        mode: 'pages', // 'pages' or 'chapters'
+        toc: [],
+        journal: null,
+        isAssembling: false,
+        ocrFrame: null,
+        ocrFailures: [],
+        cleanupFrame: null,
+        notebook: null, // the user's highlights, notes and bookmarks, read once per capture
+        sizeSample: { bytes: 0, pages: 0 }, // image bytes captured this session, for the size estimate
+        suspiciousPages: [], // pages kept despite looking blank or duplicated, listed at the end
+        pageImage: null, // last page image a frame reported as loaded: { src, url }
+        navigationTimes: [], // how long recent page turns took, in ms
+        review: null, // the open review grid: { runs, busy, dragging }
+        settings: VsSettings.getDefaults(), // saved defaults, replaced once loaded from storage
+        settingsChanged: false, // saved defaults changed since the modal was filled in
+        status: { text: '', type: 'info' }, // latest status line, for the popup
+        lastAnnouncement: 0, // when a routine status was last read out to screen readers
+        clip: null, // the region selection on screen: { requestId, frameIds, resolve, reject }
+        clips: [], // clips collected for the clips PDF: { blob, width, height, pageLabel, caption }
+        jobWatchdog: null, // timer for checking in with the service worker while its job runs
+        greeting: null, // timer for pinging frames that announced themselves without the nonce
     };
 
-    // Message handling — accept messages from any origin since iframes
-    // may be hosted on CDN domains outside vitalsource.com
+    // Message handling. Everything this page sends a frame is addressed to
+    // that frame's own origin (see broadcastToIframes). The book's frames
+    // may be hosted on CDN domains outside vitalsource.com, so what they send
+    // back is accepted by where it comes from (a frame inside this page, or
+    // our own OCR and cleanup frames) and by the session nonce.
     window.addEventListener('message', (event) => {
-        const { type, requestId, success, data, error, hasImage, url } = event.data || {};
-        if (!type || !type.startsWith('VS_')) return;
+        const { type, requestId, success, error, words, result, progress } = event.data || {};
+        if (typeof type !== 'string' || !type.startsWith('VS_')) return;
+
+        // OCR replies only count when they come from our own OCR frame
+        if (type.startsWith('VS_OCR_')) {
+            if (!state.ocrFrame || event.source !== state.ocrFrame.contentWindow) return;
+            const pending = state.pendingCaptures[requestId || 'ocr_ready'];
+            if (!pending) return;
+
+            if (type === 'VS_OCR_PROGRESS') {
+                pending.onProgress?.(progress);
+                return;
+            }
+            delete state.pendingCaptures[requestId || 'ocr_ready'];
+            if (type === 'VS_OCR_READY') pending.resolve();
+            if (type === 'VS_OCR_RESULT') success ? pending.resolve(words) : pending.reject(new Error(error || 'OCR failed'));
+            return;
+        }
+
+        // Likewise for the image cleanup frame
+        if (type.startsWith('VS_CLEANUP_')) {
+            if (!state.cleanupFrame || event.source !== state.cleanupFrame.contentWindow) return;
+            const pending = state.pendingCaptures[requestId || 'cleanup_ready'];
+            if (!pending) return;
+
+            delete state.pendingCaptures[requestId || 'cleanup_ready'];
+            if (type === 'VS_CLEANUP_READY') pending.resolve();
+            if (type === 'VS_CLEANUP_RESULT') success ? pending.resolve(result) : pending.reject(new Error(error || 'Image cleanup failed'));
+            return;
+        }
+
+        const message = parseMessage(event.data);
+        if (!message || !isBookFrame(event.source)) return;
+
+        // Messages without the session nonce are dropped. A frame that loaded
+        // before it heard from us announces itself without any nonce; the
+        // frames are pinged again so it learns the nonce and reports in.
+        if (message.nonce !== state.nonce) {
+            if (message.type === 'VS_IFRAME_READY' && !message.nonce) greetFrames();
+            return;
+        }
+
+        if (message.type === 'VS_PAGE_CAPTURED') {
+            const pending = state.pendingCaptures[message.requestId];
+            // Replies from frames other than the one asked are ignored
+            if (!pending?.frameId || pending.frameId !== message.frameId) return;
+            delete state.pendingCaptures[message.requestId];
+            message.success ? pending.resolve(message.data) : pending.reject(new Error(message.error || 'Capture failed'));
+        }
+
+        if (message.type === 'VS_REGION_CLIPPED') {
+            const { clip } = state;
+            if (clip?.requestId !== message.requestId || !clip.frameIds.includes(message.frameId)) return;
+            if (message.success) clip.resolve(message);
+            else if (message.cancelled) clip.resolve(null);
+            else clip.reject(new Error(message.error || 'Clip failed'));
+        }
 
-        if (type === 'VS_PAGE_CAPTURED' && requestId && state.pendingCaptures[requestId]) {
-            const { resolve, reject } = state.pendingCaptures[requestId];
-            delete state.pendingCaptures[requestId];
-            success ? resolve(data) : reject(new Error(error || 'Capture failed'));
+        if (message.type === 'VS_PONG') {
+            const frame = updateFrame(message, event.source);
+            state.pendingCaptures[message.requestId]?.onPong?.(frame);
         }
 
-        if (type === 'VS_PONG' && requestId && state.pendingCaptures[requestId] && hasImage) {
-            const { resolve } = state.pendingCaptures[requestId];
-            delete state.pendingCaptures[requestId];
-            resolve({ hasImage, url });
+        if (message.type === 'VS_PAGE_LOADED') {
+            updateFrame({ ...message, hasImage: true }, event.source);
+            // Prefetched pages load in hidden frames; only the page on screen counts
+            if (message.visibility > 0) state.pageImage = { src: message.page, url: message.url, frameId: message.frameId };
         }
 
-        if (type === 'VS_IFRAME_READY') {
-            console.log('[VS-PDF] Frame ready:', { hasImage, url });
-            state.readyFrames.push({ hasImage, url });
+        if (message.type === 'VS_IFRAME_READY') {
+            const { frameId, hasImage, hasText, url } = message;
+            console.log('[VS-PDF] Frame ready:', { frameId, hasImage, hasText, url });
+            updateFrame(message, event.source);
         }
     });
 
@@ -50,10 +133,6 @@
         return new Promise((resolve) => setTimeout(resolve, ms));
     }
 
-    function sanitizeFilename(name) {
-        return name.replace(/[^a-z0-9\s\-_]/gi, '').replace(/\s+/g, '_').substring(0, 50);
-    }
-
     function getCurrentPageLabel() {
         const pageInput = document.querySelector('input[id^="text-field-"]');
         return pageInput?.value?.trim() || '';
@@ -69,56 +148,183 @@
         return null;
     }
 
+    // Fields of the reader's book details panel by lower-case label
+    // ("publisher", "edition", ...). The panel lists them either as <dt>/<dd>
+    // pairs or as "Label: value" lines; it is only in the page while open.
+    function readBookDetails() {
+        const details = {};
+        const add = (label, value) => {
+            const key = label.trim().replace(/:$/, '').replace(/\(s\)$/i, '').toLowerCase();
+            if (key && value.trim() && !(key in details)) details[key] = value.trim();
+        };
+
+        const panels = document.querySelectorAll('[data-testid*="book-details" i], [class*="BookDetails"], [aria-label*="book details" i]');
+        panels.forEach((panel) => {
+            panel.querySelectorAll('dt').forEach((term) => {
+                if (term.nextElementSibling?.tagName === 'DD') add(term.textContent, term.nextElementSibling.textContent);
+            });
+            panel.querySelectorAll('*').forEach((element) => {
+                if (element.children.length > 0) return;
+                const line = element.textContent.match(/^\s*([^:]{2,30}):\s*(.+)$/);
+                if (line) add(line[1], line[2]);
+            });
+        });
+        return details;
+    }
+
+    function cleanIsbn(text) {
+        const isbn = String(text || '').replace(/[^\dx]/gi, '').toUpperCase();
+        return /^(97[89])?\d{9}[\dX]$/.test(isbn) ? isbn : null;
+    }
+
+    // What's known about the book for filenames and PDF metadata, from the
+    // book details panel, the page's meta tags, the title and the URL (most
+    // books are opened by their ISBN). Fields that can't be found are null.
+    function getBookMetadata() {
+        const details = readBookDetails();
+        const meta = (...names) => names.map((name) => document.querySelector(`meta[name="${name}"], meta[property="${name}"]`)?.content?.trim())
+            .find(Boolean) || null;
+
+        const authorText = details.author || details.authors || details.by || meta('author', 'book:author') ||
+            document.querySelector('[data-testid="book-author"]')?.textContent.trim() || '';
+        const isbnText = details.isbn || details['print isbn'] || details['isbn-13'] || details.eisbn || details['etext isbn'];
+
+        return {
+            title: details.title || getBookTitle(),
+            authors: authorText.split(/\s*;\s*|\s+(?:and|&)\s+/).filter(Boolean),
+            publisher: details.publisher || meta('publisher', 'book:publisher'),
+            isbn: cleanIsbn(isbnText) || cleanIsbn(meta('isbn', 'book:isbn')) || cleanIsbn(getBookId()),
+            edition: details.edition || null,
+        };
+    }
+
+    // PDF metadata for a file holding the given page labels
+    function getDocumentMetadata(labels, title = null) {
+        const book = getBookMetadata();
+        const pages = labels.filter(Boolean);
+        return {
+            ...book,
+            title: title || book.title,
+            firstPage: pages[0] || null,
+            lastPage: pages[pages.length - 1] || null,
+        };
+    }
+
     // Iframe communication
+    function findIframes() {
+        const iframes = [...document.querySelectorAll('iframe')];
+
+        // Also check Shadow DOM (VitalSource uses <mosaic-book> with shadow root),
+        // and generically all elements with shadow roots for nested iframes
+        document.querySelectorAll('*').forEach((el) => {
+            if (el.shadowRoot) iframes.push(...el.shadowRoot.querySelectorAll('iframe'));
+        });
+        return iframes;
+    }
+
+    // Sends a request to every frame in the page, each addressed to the
+    // origin its src points at; the frames pass it on to their own
     function broadcastToIframes(message) {
-        for (let i = 0; i < window.frames.length; i++) {
-            try { window.frames[i].postMessage(message, '*'); } catch {}
-        }
-        document.querySelectorAll('iframe').forEach((iframe) => {
-            try { iframe.contentWindow.postMessage(message, '*'); } catch {}
+        findIframes().forEach((iframe) => {
+            const origin = getFrameOrigin(iframe);
+            if (!iframe.contentWindow || !origin) return;
+            try { iframe.contentWindow.postMessage(message, origin); } catch {}
         });
+    }
 
-        // Also check Shadow DOM (VitalSource uses <mosaic-book> with shadow root)
-        const mosaicBook = document.querySelector('mosaic-book');
-        if (mosaicBook?.shadowRoot) {
-            mosaicBook.shadowRoot.querySelectorAll('iframe').forEach((iframe) => {
-                try { iframe.contentWindow.postMessage(message, '*'); } catch {}
-            });
+    // Frames nested anywhere in this page, except our own OCR and cleanup
+    // frames. The top-level page itself is left out: its frame script has
+    // nothing to capture.
+    function isBookFrame(source) {
+        try {
+            return !!source && source !== window && source.top === window &&
+                source !== state.ocrFrame?.contentWindow && source !== state.cleanupFrame?.contentWindow;
+        } catch {
+            return false;
         }
+    }
 
-        // Generically search all elements with shadow roots for nested iframes
-        document.querySelectorAll('*').forEach((el) => {
-            if (el.shadowRoot) {
-                el.shadowRoot.querySelectorAll('iframe').forEach((iframe) => {
-                    try { iframe.contentWindow.postMessage(message, '*'); } catch {}
-                });
-            }
-        });
+    function createRequest(type, fields) {
+        return createMessage(type, { ...fields, nonce: state.nonce, origin: window.location.origin });
+    }
+
+    const GREET_DELAY = 100; // Quiet time after frames announce themselves before they are pinged, in ms
+
+    // Pings every frame once frames stop announcing themselves, through
+    // broadcastToIframes rather than back to whoever announced
+    function greetFrames() {
+        clearTimeout(state.greeting);
+        state.greeting = setTimeout(() => broadcastToIframes(createRequest('VS_PING', { requestId: 'greet_' + randomId() })), GREET_DELAY);
+    }
+
+    // Records what a frame reported about itself; returns its entry
+    function updateFrame(message, source) {
+        const { frameId, hasImage, hasText, visibility, url, page } = message;
+        const frame = state.readyFrames.get(frameId) || { frameId, hasImage: false, hasText: false };
+        Object.assign(frame, { source, visibility, url, page: page ?? frame.page, seen: Date.now() });
+        if (hasImage !== undefined) frame.hasImage = hasImage;
+        if (hasText !== undefined) frame.hasText = hasText;
+        state.readyFrames.set(frameId, frame);
+        return frame;
     }
 
+    // The frame to capture from: of those with the wanted content
+    // ('hasImage' or 'hasText'), the most visible, then the most recently heard from
+    function pickFrame(content) {
+        const frames = [...state.readyFrames.values()].filter((frame) => frame[content]);
+        frames.sort((a, b) => b.visibility - a.visibility || b.seen - a.seen);
+        return frames[0] || null;
+    }
+
+    // How long pingIframe waits for answers: at most PING_TIMEOUT, or
+    // PING_SETTLE after the first frame with a page image answers
+    const PING_TIMEOUT = 5000;
+    const PING_SETTLE = 200;
+
+    // Asks every frame what it shows and resolves with the frame to capture
+    // from: one showing a page image, or for reflowable books one with the
+    // chapter text ({ hasText: true }). Frames that don't answer are forgotten.
     async function pingIframe() {
-        const readyWithImage = state.readyFrames.find((f) => f?.hasImage);
-        if (readyWithImage) return readyWithImage;
+        const requestId = 'ping_' + randomId();
+        const known = [...state.readyFrames.keys()];
+        const answered = new Set();
 
-        const requestId = 'ping_' + Date.now();
         return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
+            let settle = null;
+            const finish = () => {
+                clearTimeout(timeout);
+                clearTimeout(settle);
                 delete state.pendingCaptures[requestId];
-                const ready = state.readyFrames.find((f) => f?.hasImage);
-                ready ? resolve(ready) : reject(new Error('No iframe with page image found. Try reloading.'));
-            }, 5000);
+                [...state.readyFrames.keys()].forEach((frameId) => {
+                    if (!answered.has(frameId)) state.readyFrames.delete(frameId);
+                });
+
+                const frame = pickFrame('hasImage') || pickFrame('hasText');
+                frame ? resolve(frame) : reject(new Error('No iframe with page image or book text found. Try reloading.'));
+            };
+            const timeout = setTimeout(finish, PING_TIMEOUT);
 
             state.pendingCaptures[requestId] = {
-                resolve: (info) => { clearTimeout(timeout); resolve(info); },
-                reject,
+                onPong: (frame) => {
+                    answered.add(frame.frameId);
+                    const everyone = known.length > 0 && known.every((frameId) => answered.has(frameId));
+                    const found = [...answered].some((frameId) => {
+                        const { hasImage, hasText } = state.readyFrames.get(frameId);
+                        return hasImage || hasText;
+                    });
+                    if (everyone && found) finish();
+                    // A text frame is only a fallback in case no page image shows up
+                    else if (frame.hasImage && !settle) settle = setTimeout(finish, PING_SETTLE);
+                },
             };
 
-            broadcastToIframes({ type: 'VS_PING', requestId });
+            broadcastToIframes(createRequest('VS_PING', { requestId }));
         });
     }
 
-    async function captureCurrentPage() {
-        const requestId = 'capture_' + Date.now();
+    // Asks one frame for a capture and resolves with its reply's data
+    function requestCapture(frame, messageType, options) {
+        const requestId = 'capture_' + randomId();
         let resolved = false;
 
         return new Promise((resolve, reject) => {
@@ -129,13 +335,12 @@
             }, 15000);
 
             state.pendingCaptures[requestId] = {
+                frameId: frame.frameId,
                 resolve: (data) => {
                     if (resolved) return;
                     resolved = true;
                     clearTimeout(timeout);
                     delete state.pendingCaptures[requestId];
-                    data.timestamp = Date.now();
-                    data.pageLabel = getCurrentPageLabel();
                     resolve(data);
                 },
                 reject: (err) => {
@@ -147,94 +352,2018 @@
                 },
             };
 
-            broadcastToIframes({ type: 'VS_CAPTURE_PAGE', requestId });
+            broadcastToIframes(createRequest(messageType, { requestId, frameId: frame.frameId, options }));
         });
     }
 
+    // Horizontal position on screen of the top-level iframe a frame is in
+    function getFrameLeft(frame) {
+        let win = frame.source;
+        try {
+            while (win && win.parent !== window && win.parent !== win) win = win.parent;
+        } catch {
+            return 0;
+        }
+        const element = findIframes().find((iframe) => iframe.contentWindow === win);
+        return element ? element.getBoundingClientRect().left : 0;
+    }
+
+    // Every frame on screen with a page image (both halves of a spread split
+    // across frames), or failing that the likeliest one
+    function getImageFrames() {
+        const imageFrames = [...state.readyFrames.values()].filter((frame) => frame.hasImage);
+        const visible = imageFrames.filter((frame) => frame.visibility > 0);
+        const frames = visible.length > 0 ? visible : [pickFrame('hasImage')].filter(Boolean);
+        if (frames.length === 0) throw new Error('No frame with a page image found');
+        return frames;
+    }
+
+    // encoding is passed on to the frame (see getImageEncoding). Every frame
+    // on screen with a page image is captured, so a two-page spread split
+    // across frames comes back whole: the result is the first page's image
+    // with all of them, in reading order and labelled, in images.
+    // VS_CAPTURE_TEXT asks the frame showing the chapter of a reflowable book
+    // for its content instead.
+    async function captureCurrentPage(encoding = {}, messageType = 'VS_CAPTURE_PAGE') {
+        await pingIframe();
+
+        if (messageType === 'VS_CAPTURE_TEXT') {
+            const frame = pickFrame('hasText');
+            if (!frame) throw new Error('No frame with book text found');
+            const data = await requestCapture(frame, messageType, encoding);
+            return { ...data, timestamp: Date.now(), pageLabel: getCurrentPageLabel() };
+        }
+
+        const frames = getImageFrames();
+        const replies = await Promise.all(frames.map(async (frame) => ({
+            frameLeft: getFrameLeft(frame),
+            ...(await requestCapture(frame, messageType, encoding)),
+        })));
+        const direction = replies.some((reply) => reply.rtl) ? -1 : 1;
+        replies.sort((a, b) => direction * (a.frameLeft - b.frameLeft || (a.images[0]?.left ?? 0) - (b.images[0]?.left ?? 0)));
+
+        const images = replies.flatMap((reply) => reply.images);
+        if (images.length === 0) throw new Error('No page image captured');
+        const pageLabel = getCurrentPageLabel();
+        getSpreadLabels(pageLabel, images.length).forEach((label, i) => { images[i].pageLabel = label; });
+        return { ...images[0], images, timestamp: Date.now(), pageLabel };
+    }
+
+    // Navigation waits for evidence the page changed rather than a fixed
+    // delay. The timeout adapts to recent page turns: three times their
+    // average, within the bounds set on the options page.
+    function getNavigationTimeout() {
+        const { timeoutMin, timeoutMax } = state.settings.navigation;
+        const times = state.navigationTimes;
+        const estimate = times.length === 0 ? 10000 : (times.reduce((sum, ms) => sum + ms, 0) / times.length) * 3;
+        return Math.min(timeoutMax, Math.max(timeoutMin, estimate));
+    }
+
+    function recordNavigationTime(ms) {
+        state.navigationTimes.push(ms);
+        if (state.navigationTimes.length > 10) state.navigationTimes.shift();
+    }
+
+    // Resolves true as soon as check() passes, or false after timeout ms
+    async function waitUntil(check, timeout, interval = 100) {
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            if (check()) return true;
+            await sleep(interval);
+        }
+        return check();
+    }
+
+    // Waits for a frame to report a loaded page image other than the ones in
+    // previousSrcs. Books without page images (reflowable ones) never report
+    // any, so there is nothing to wait for.
+    function waitForPageImage(previousSrcs, timeout) {
+        if (!state.pageImage) return Promise.resolve(true);
+        return waitUntil(() => !previousSrcs.includes(state.pageImage.src), timeout);
+    }
+
+    // The reader disables or hides its Next button on the last page
+    function isNextButtonOff(button) {
+        return !button || button.disabled || button.hidden || button.getAttribute('aria-disabled') === 'true';
+    }
+
+    // Resolves 'moved', or 'last-page' when the Next button is off. A page
+    // turn that doesn't happen in time is tried once more, then throws, so a
+    // slow reader never passes for the end of the book.
     async function goToNextPage() {
         const input = document.querySelector('input[id^="text-field-"]');
         if (!input) throw new Error('No page input found');
 
         const currentLabel = input.value.trim();
+        const previousSrc = state.pageImage?.src;
+
+        if (!document.querySelector('button[aria-label="Next"]')) throw new Error('No Next button found');
+
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            const nextBtn = document.querySelector('button[aria-label="Next"]');
+            if (isNextButtonOff(nextBtn)) return 'last-page';
+
+            const started = Date.now();
+            const timeout = getNavigationTimeout();
+            nextBtn.click();
+
+            // The label updates first; the new page image can take longer. If the
+            // image never arrives, the capture's stale-page check catches it.
+            if (await waitUntil(() => input.value.trim() !== currentLabel, timeout)) {
+                if (await waitForPageImage([previousSrc], Math.max(timeout - (Date.now() - started), state.settings.navigation.timeoutMin))) {
+                    recordNavigationTime(Date.now() - started);
+                }
+                return 'moved';
+            }
+            if (isNextButtonOff(document.querySelector('button[aria-label="Next"]'))) return 'last-page';
+            console.warn(`[VS-PDF] Page ${currentLabel} didn't turn within ${Math.round(timeout / 1000)} s (attempt ${attempt}/2)`);
+        }
+        throw new Error(`The reader didn't turn past page ${currentLabel}`);
+    }
+
+    async function goToPage(label) {
+        const input = document.querySelector('input[id^="text-field-"]');
+        if (!input) throw new Error('No page input found');
+
+        const target = normalizeLabel(label);
+        if (normalizeLabel(input.value) === target) return true;
+        const previousSrc = state.pageImage?.src;
+
+        // The reader is a React app: set the value through the native setter
+        // so its change handler picks it up, then submit with Enter
+        const setValue = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+        input.focus();
+        setValue.call(input, label);
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        const enter = { key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true };
+        input.dispatchEvent(new KeyboardEvent('keydown', enter));
+        input.dispatchEvent(new KeyboardEvent('keyup', enter));
+        input.blur();
+
+        // Unknown labels leave the reader where it was and the field reverts
+        const timeout = getNavigationTimeout();
+        if (!(await waitUntil(() => normalizeLabel(getCurrentPageLabel()) === target, timeout))) return false;
+        await waitForPageImage([previousSrc], timeout);
+        return true;
+    }
+
+    // Table of contents
+    function findTocPanel() {
+        return document.querySelector(
+            'nav[aria-label*="contents" i], [role="navigation"][aria-label*="contents" i], ' +
+            '[role="tree"][aria-label*="contents" i], [data-testid*="toc" i]'
+        );
+    }
+
+    async function openTocPanel() {
+        let panel = findTocPanel();
+        if (panel) return panel;
+
+        const button = document.querySelector('button[aria-label="Table of Contents"], button[aria-label*="contents" i]');
+        if (!button) throw new Error('No Table of Contents button found');
+        button.click();
+
+        for (let waited = 0; waited < 3000 && !panel; waited += 250) {
+            await sleep(250);
+            panel = findTocPanel();
+        }
+        if (!panel) throw new Error('The Table of Contents panel did not open');
+        return panel;
+    }
+
+    // Text of an element without the text of nested sub-lists
+    function ownText(el) {
+        let text = '';
+        el.childNodes.forEach((node) => {
+            if (node.nodeType === Node.TEXT_NODE) text += node.textContent;
+            else if (node.nodeType === Node.ELEMENT_NODE && !node.matches('ul, ol, [role="group"]')) text += ownText(node);
+        });
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    // Returns the clickable TOC entries in document order. Tree-style panels
+    // expose their depth through aria-level; list-style ones through nesting.
+    function getTocItems(panel) {
+        const treeItems = panel.querySelectorAll('[role="treeitem"]');
+        if (treeItems.length > 0) {
+            return [...treeItems].map((el) => ({
+                el,
+                title: ownText(el),
+                level: parseInt(el.getAttribute('aria-level'), 10) || 1,
+            })).filter((item) => item.title);
+        }
+
+        return [...panel.querySelectorAll('a, button')]
+            .filter((el) => el.closest('li') && el.textContent.trim())
+            .map((el) => {
+                let level = 0;
+                for (let node = el.closest('li'); node && node !== panel; node = node.parentElement) {
+                    if (node.tagName === 'LI') level++;
+                }
+                return { el, title: el.textContent.replace(/\s+/g, ' ').trim(), level };
+            });
+    }
+
+    async function readTableOfContents() {
+        const panel = await openTocPanel();
+        return getTocItems(panel).map(({ title, level }, index) => ({ index, title, level, checked: false, pageLabel: null }));
+    }
+
+    // Clicks a TOC entry and reads back the page label the reader lands on.
+    // The panel may re-render or close between clicks, so entries are looked
+    // up again by index each time.
+    async function resolveTocEntry(entry) {
+        if (entry.pageLabel) return entry.pageLabel;
+
+        const item = getTocItems(await openTocPanel())[entry.index];
+        if (!item || item.title !== entry.title) {
+            throw new Error(`The table of contents changed; "${entry.title}" could not be found. Reload the chapter list.`);
+        }
+
+        // The entry may point at the page we're already on, in which case the
+        // label never changes and the wait runs out
+        const before = getCurrentPageLabel();
+        item.el.click();
+        await waitUntil(() => getCurrentPageLabel() !== before, getNavigationTimeout());
+
+        entry.pageLabel = getCurrentPageLabel();
+        if (!entry.pageLabel) throw new Error(`Could not find the page for "${entry.title}".`);
+        return entry.pageLabel;
+    }
+
+    // Resolves every TOC entry to a page label so captures can carry an
+    // outline. Entries that can't be resolved are left out of the outline.
+    async function resolveAllTocEntries() {
+        if (state.toc.length === 0) state.toc = await readTableOfContents();
+
+        const returnTo = getCurrentPageLabel();
+        for (const entry of state.toc) {
+            if (!state.isRunning) break;
+            updateStatus(`Reading table of contents (${entry.index + 1}/${state.toc.length})...`);
+            try {
+                await resolveTocEntry(entry);
+            } catch (e) {
+                console.warn(`[VS-PDF] Skipping TOC entry "${entry.title}":`, e.message);
+            }
+        }
+
+        if (!(await goToPage(returnTo))) throw new Error(`Could not return to page "${returnTo}".`);
+    }
+
+    // Notebook — the reader's panel listing the user's own highlights, notes
+    // and bookmarks, each with the page it is on
+    const NOTEBOOK_BUTTON = 'button[aria-label*="notebook" i], button[aria-label*="annotations" i]';
+    const NOTEBOOK_PAGE = /\b(?:page|p\.)\s*([0-9]+|[ivxlcdm]+)\b/i;
+
+    function findNotebookPanel() {
+        return document.querySelector('[aria-label*="notebook" i]:not(button), [data-testid*="notebook" i]:not(button)');
+    }
+
+    // The panel's entries: elements carrying an annotation ID, or else the
+    // innermost list items
+    function getNotebookItems(panel) {
+        const tagged = panel.querySelectorAll('[data-annotation-id]');
+        if (tagged.length > 0) return [...tagged];
+        return [...panel.querySelectorAll('li, [role="listitem"]')].filter((el) => !el.querySelector('li, [role="listitem"]'));
+    }
+
+    // The page an entry names, looked for in each piece of its text on its
+    // own, since the label and the quote often sit in adjacent elements
+    function findPageReference(el) {
+        const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const match = node.textContent.match(NOTEBOOK_PAGE);
+            if (match) return match[1];
+        }
+        return null;
+    }
+
+    // { id, kind: 'highlight' | 'note' | 'bookmark', pageLabel, quote, note }
+    function readNotebookEntry(el) {
+        const text = (selector) => el.querySelector(selector)?.textContent.replace(/\s+/g, ' ').trim() || '';
+        const quote = text('blockquote, [class*="quote" i], [class*="highlight" i], [data-testid*="highlight" i]');
+        let note = text('[class*="note" i]:not([class*="notebook" i]), [data-testid*="note" i]');
+        if (note === quote) note = '';
+
+        const description = `${el.getAttribute('class') || ''} ${el.getAttribute('aria-label') || ''} ${el.dataset.annotationType || ''}`;
+        return {
+            id: el.dataset.annotationId || null,
+            kind: /bookmark/i.test(description) ? 'bookmark' : note && !quote ? 'note' : 'highlight',
+            pageLabel: findPageReference(el),
+            quote,
+            note,
+        };
+    }
+
+    // Opens the notebook if it isn't open, reads every entry with a page and
+    // closes it again. Entries the panel loads as it scrolls aren't seen.
+    async function readNotebook() {
+        let panel = findNotebookPanel();
+        let button = null;
+        if (!panel) {
+            button = document.querySelector(NOTEBOOK_BUTTON);
+            if (!button) throw new Error('No notebook button found');
+            button.click();
+        }
+        for (let waited = 0; waited < 3000 && !(panel && getNotebookItems(panel).length > 0); waited += 250) {
+            await sleep(250);
+            panel = findNotebookPanel();
+        }
+        if (!panel) throw new Error('The notebook panel did not open');
+
+        const entries = getNotebookItems(panel)
+            .map(readNotebookEntry)
+            .filter((entry) => entry.pageLabel && (entry.quote || entry.note || entry.kind === 'bookmark'));
+        if (button && findNotebookPanel()) button.click();
+        return entries;
+    }
+
+    // Without a notebook, highlights still go into the PDF, just without notes
+    async function getNotebook() {
+        if (!state.notebook) {
+            try {
+                updateStatus('Reading your notebook...');
+                state.notebook = await readNotebook();
+            } catch (e) {
+                console.warn('[VS-PDF] Could not read the notebook:', e.message);
+                state.notebook = [];
+            }
+        }
+        return state.notebook;
+    }
+
+    // Annotations for a stored page: its highlight overlays, with the note of
+    // the matching notebook entry. An entry matches by annotation ID or, when
+    // the page has as many unmatched entries as unmatched overlays, in
+    // reading order. Entries that match nothing come back in unplaced.
+    function matchAnnotations(page, notebook) {
+        const labels = (page.labels || [page.label]).filter(Boolean).map(normalizeLabel);
+        const entries = notebook.filter((entry) => entry.kind !== 'bookmark' && labels.includes(normalizeLabel(entry.pageLabel)));
+        const highlights = (page.highlights || [])
+            .map((highlight) => ({ ...highlight, note: '' }))
+            .sort((a, b) => a.rects[0].y - b.rects[0].y || a.rects[0].x - b.rects[0].x);
+
+        let unmatched = [];
+        for (const entry of entries) {
+            const highlight = entry.id && highlights.find((item) => item.id === entry.id);
+            if (highlight) highlight.note = entry.note;
+            else unmatched.push(entry);
+        }
+        const open = highlights.filter((highlight) => !highlight.id || !entries.some((entry) => entry.id === highlight.id));
+        if (unmatched.length > 0 && unmatched.length === open.length) {
+            unmatched.forEach((entry, i) => { open[i].note = entry.note; });
+            unmatched = [];
+        }
+        return { annotations: highlights, unplaced: unmatched };
+    }
 
-        // Click the next button
-        const nextBtn = document.querySelector('button[aria-label="Next"]');
-        if (!nextBtn) throw new Error('No Next button found');
-        if (nextBtn.disabled || nextBtn.getAttribute('aria-disabled') === 'true') {
-            return 'last-page';
+    // Reader bookmarks among a file's pages, as an outline entry
+    function buildBookmarkOutline(pageLabels, notebook) {
+        const targets = pageLabels.map(normalizeLabel);
+        const children = notebook
+            .filter((entry) => entry.kind === 'bookmark')
+            .map((entry) => ({
+                title: entry.note || entry.quote || `Page ${entry.pageLabel}`,
+                pageIndex: targets.indexOf(normalizeLabel(entry.pageLabel)),
+                children: [],
+            }))
+            .filter((item) => item.pageIndex !== -1);
+        return children.length > 0 ? [{ title: 'Bookmarks', pageIndex: children[0].pageIndex, children }] : [];
+    }
+
+    // The "Notes" pages for entries that couldn't be placed on their page
+    function buildNotesBlocks(entries) {
+        const blocks = [{ text: 'Notes', size: 18, bold: true }];
+        for (const entry of entries) {
+            blocks.push({ text: `Page ${entry.pageLabel}`, bold: true });
+            if (entry.quote) blocks.push({ text: `“${entry.quote}”`, indent: 18 });
+            if (entry.note) blocks.push({ text: entry.note, indent: entry.quote ? 36 : 18 });
+        }
+        return blocks;
+    }
+
+    // PDF generation — page sizes in points (1/72 in); the custom size and
+    // margin are entered in inches
+    const PAGE_SIZES = {
+        letter: { width: 612, height: 792 },
+        a4: { width: 595.28, height: 841.89 },
+        a5: { width: 419.53, height: 595.28 },
+    };
+    const DEFAULT_PAGE_SETUP = VsSettings.getDefaults().pageSetup;
+
+    // Fixed page size for a setup. 'source' has none (every page takes its
+    // image's size), so text layouts fall back to Letter. landscape turns
+    // the page on its side, for merged two-page spreads.
+    function getPageSize(setup) {
+        const size = setup.size === 'custom' ? { width: setup.customWidth * 72, height: setup.customHeight * 72 }
+            : PAGE_SIZES[setup.size] || PAGE_SIZES.letter;
+        return setup.landscape ? { width: size.height, height: size.width } : size;
+    }
+
+    // Throws if the setup leaves no room for the page content
+    function validatePageSetup(setup) {
+        if (setup.size === 'custom' && !(setup.customWidth > 0 && setup.customHeight > 0)) {
+            throw new Error('Enter a custom page width and height in inches.');
         }
+        const { width, height } = getPageSize(setup);
+        if (setup.size !== 'source' && setup.margin * 144 >= Math.min(width, height)) {
+            throw new Error('The margins are larger than the page.');
+        }
+    }
 
-        nextBtn.click();
-        await sleep(1500);
+    // Where an image of imgWidth × imgHeight pixels goes, in points from the
+    // top left of its page. 'source' sizes the page to the image at setup.dpi
+    // so nothing is letterboxed. Otherwise the image is fitted inside the
+    // margins, scaled to fill them (the overflow is cropped by a clip), or
+    // drawn at setup.dpi and centered.
+    function calculatePlacement(imgWidth, imgHeight, setup = DEFAULT_PAGE_SETUP) {
+        const margin = setup.margin * 72;
+        const dpiScale = 72 / setup.dpi;
+
+        if (setup.size === 'source') {
+            const width = imgWidth * dpiScale;
+            const height = imgHeight * dpiScale;
+            return { pageWidth: width + margin * 2, pageHeight: height + margin * 2, x: margin, y: margin, width, height };
+        }
 
-        // Check if the page actually changed
-        const newLabel = input.value.trim();
-        if (newLabel === currentLabel) {
-            return 'last-page';
+        const page = getPageSize(setup);
+        const areaWidth = page.width - margin * 2;
+        const areaHeight = page.height - margin * 2;
+        const scale = setup.fit === 'actual' ? dpiScale
+            : setup.fit === 'fill' ? Math.max(areaWidth / imgWidth, areaHeight / imgHeight)
+            : Math.min(areaWidth / imgWidth, areaHeight / imgHeight);
+        const width = imgWidth * scale;
+        const height = imgHeight * scale;
+
+        const placement = {
+            pageWidth: page.width,
+            pageHeight: page.height,
+            x: margin + (areaWidth - width) / 2,
+            y: margin + (areaHeight - height) / 2,
+            width,
+            height,
+        };
+        if (width > areaWidth + 0.01 || height > areaHeight + 0.01) {
+            placement.clip = { x: margin, y: margin, width: areaWidth, height: areaHeight };
         }
-        return 'moved';
+        return placement;
     }
 
-    // PDF generation
-    function calculateImageDimensions(imgWidth, imgHeight) {
-        const pageWidth = 612, pageHeight = 792; // Letter size at 72 DPI
-        const imgAspect = imgWidth / imgHeight;
-        const pageAspect = pageWidth / pageHeight;
+    // Image encoding: quality is 1–100, dpi null keeps the full source resolution
+    const DEFAULT_IMAGE_SETTINGS = VsSettings.getDefaults().image;
+
+    // Encoding options for iframe.js. Downscaling to settings.dpi is relative
+    // to the printed size: a scale against the source resolution when images
+    // print at it, otherwise a pixel box for the printable area.
+    function getImageEncoding(settings = DEFAULT_IMAGE_SETTINGS, setup = DEFAULT_PAGE_SETUP) {
+        const encoding = { format: settings.format, quality: settings.quality / 100, grayscale: settings.grayscale };
+        if (!settings.dpi) return encoding;
 
-        if (imgAspect > pageAspect) {
-            const drawWidth = pageWidth;
-            const drawHeight = pageWidth / imgAspect;
-            return { drawWidth, drawHeight, offsetX: 0, offsetY: (pageHeight - drawHeight) / 2 };
+        if (setup.size === 'source' || setup.fit === 'actual') {
+            encoding.scale = settings.dpi / setup.dpi;
         } else {
-            const drawHeight = pageHeight;
-            const drawWidth = pageHeight * imgAspect;
-            return { drawWidth, drawHeight, offsetX: (pageWidth - drawWidth) / 2, offsetY: 0 };
+            const { width, height } = getPageSize(setup);
+            const margin = setup.margin * 72;
+            encoding.box = {
+                width: ((width - margin * 2) / 72) * settings.dpi,
+                height: ((height - margin * 2) / 72) * settings.dpi,
+                cover: setup.fit === 'fill',
+            };
         }
+        return encoding;
     }
 
-    async function downloadCurrentPageDirect() {
+    // jsPDF document for text layouts (reflowable books) in the setup's page size
+    function createTextDocument(setup) {
+        const { jsPDF } = window.jspdf;
+        const { width, height } = getPageSize(setup);
+        return new jsPDF({ unit: 'pt', format: [width, height], orientation: width > height ? 'landscape' : 'portrait' });
+    }
+
+    // Nested outline for every resolved TOC entry that falls on one of the
+    // pages. pageLabels holds one label per PDF page ('' when the reader had none).
+    function buildOutline(pageLabels) {
+        const targets = pageLabels.map(normalizeLabel);
+        const outline = [];
+        const stack = [];
+
+        state.toc.forEach((entry) => {
+            const pageIndex = entry.pageLabel ? targets.indexOf(normalizeLabel(entry.pageLabel)) : -1;
+            if (pageIndex === -1) return;
+
+            // Entries whose parent chapter isn't in this file attach to the nearest ancestor that is
+            while (stack.length > 0 && stack[stack.length - 1].level >= entry.level) stack.pop();
+            const item = { title: entry.title, pageIndex, children: [] };
+            (stack.length > 0 ? stack[stack.length - 1].item.children : outline).push(item);
+            stack.push({ level: entry.level, item });
+        });
+
+        return outline;
+    }
+
+    function dataUrlToBlob(dataUrl) {
+        const [header, base64] = dataUrl.split(',');
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Blob([bytes], { type: header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream' });
+    }
+
+    // Files are saved by the service worker through the downloads API, into
+    // a folder named after the book, with no prompt per file. If that fails
+    // (the extension was reloaded, say) the page downloads the file itself.
+    // Resolves once the downloads API has saved the file, and rejects when
+    // the download failed. Only when the extension can't be reached is the
+    // file downloaded from the page instead.
+    async function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        let reply = null;
         try {
-            if (!state.readyFrames.find((f) => f?.hasImage)) {
-                await pingIframe();
-            }
+            reply = await chrome.runtime.sendMessage({ type: 'VS_SAVE_FILE', url, filename, folder: getDownloadFolder() });
+        } catch (e) {
+            console.warn('[VS-PDF] The extension is not responding:', e.message);
+        }
+        if (reply) {
+            URL.revokeObjectURL(url);
+            if (!reply.success) throw new Error(`${filename} could not be saved: ${reply.error}`);
+        } else {
+            console.warn('[VS-PDF] Downloading from the page instead');
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        }
+    }
+
+    function getDownloadFolder() {
+        return sanitizeFilename(getBookTitle() || 'vitalsource-book');
+    }
+
+    // Places a captured image on its own page according to the page setup.
+    // Geometry uses the image's size before any downscaling, so a smaller
+    // image still prints at the same size.
+    async function addCapturedPage(writer, image, setup, annotations = []) {
+        const pdfImage = image.format === 'png'
+            ? await PdfWriter.flateImage(image.data, image.grayscale)
+            : { data: image.data, width: image.width, height: image.height };
+        const pageSetup = image.spread > 1 ? { ...setup, landscape: true } : setup;
+        writer.addImagePage(
+            pdfImage,
+            calculatePlacement(image.naturalWidth ?? image.width, image.naturalHeight ?? image.height, pageSetup),
+            image.words,
+            annotations
+        );
+    }
+
+    // Adds a hidden extension frame; frame.ready resolves with it once it
+    // reports in under readyId, or rejects with "<name> did not load"
+    function addExtensionFrame(page, readyId, name) {
+        const frame = document.createElement('iframe');
+        frame.src = chrome.runtime.getURL(page);
+        frame.style.display = 'none';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.ready = new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                delete state.pendingCaptures[readyId];
+                frame.remove();
+                reject(new Error(`${name} did not load`));
+            }, 15000);
+            state.pendingCaptures[readyId] = {
+                resolve: () => { clearTimeout(timeout); resolve(frame); },
+                reject,
+            };
+        });
+
+        document.body.appendChild(frame);
+        return frame;
+    }
+
+    // OCR — recognition runs in a hidden extension frame (ocr.html) hosting
+    // the bundled Tesseract engine and English language data, so it works
+    // offline and never sends page images anywhere
+    function getOcrFrame() {
+        if (!state.ocrFrame?.isConnected) state.ocrFrame = addExtensionFrame('ocr.html', 'ocr_ready', 'OCR engine');
+        return state.ocrFrame.ready;
+    }
+
+    // Returns the recognized words with their boxes in image pixels
+    async function recognizePage(image, onProgress) {
+        const frame = await getOcrFrame();
+        const requestId = 'ocr_' + randomId();
+
+        return new Promise((resolve, reject) => {
+            // The first page also waits for the engine and language data to load
+            const timeout = setTimeout(() => {
+                delete state.pendingCaptures[requestId];
+                reject(new Error('OCR timeout'));
+            }, 120000);
 
-            const pageData = await captureCurrentPage();
-            const { jsPDF } = window.jspdf;
-            const pdf = new jsPDF({ orientation: 'portrait', unit: 'pt', format: 'letter' });
+            state.pendingCaptures[requestId] = {
+                resolve: (words) => { clearTimeout(timeout); resolve(words); },
+                reject: (err) => { clearTimeout(timeout); reject(err); },
+                onProgress,
+            };
+
+            frame.contentWindow.postMessage({ type: 'VS_OCR', requestId, image }, new URL(frame.src).origin);
+        });
+    }
+
+    // Image cleanup — margin trimming, background whitening and the bitonal
+    // and night renditions run in a worker (cleanup-worker.js) that a hidden
+    // extension frame starts, so they don't hold up the reader
+    function getCleanupFrame() {
+        if (!state.cleanupFrame?.isConnected) state.cleanupFrame = addExtensionFrame('cleanup.html', 'cleanup_ready', 'Image cleanup');
+        return state.cleanupFrame.ready;
+    }
+
+    // action: 'measure' (the page's content box) or 'process' (the cleaned page)
+    async function runCleanup(action, image, options = {}) {
+        const frame = await getCleanupFrame();
+        const requestId = 'cleanup_' + randomId();
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                delete state.pendingCaptures[requestId];
+                reject(new Error('Image cleanup timeout'));
+            }, 60000);
+
+            state.pendingCaptures[requestId] = {
+                resolve: (result) => { clearTimeout(timeout); resolve(result); },
+                reject: (err) => { clearTimeout(timeout); reject(err); },
+            };
+
+            frame.contentWindow.postMessage({ type: 'VS_CLEANUP', requestId, action, image, options }, new URL(frame.src).origin);
+        });
+    }
+
+    function hasCleanup(settings) {
+        return settings.trimMargins || settings.enhance || (settings.tone || 'original') !== 'original';
+    }
+
+    const TRIM_PADDING = 0.02; // Margin kept around trimmed content, as a share of the page
+
+    // Content boxes of a file's pages merged into one trim box per side: left
+    // and right hand pages (by position in the run) each get the union of
+    // their side's boxes, so text doesn't jump about from page to page.
+    // Merged spreads share a box of their own. Blank pages don't count.
+    // Returns (page, index) => box, null where nothing can be trimmed.
+    async function getTrimBoxes(runIndex, from, to) {
+        const sideOf = (page, index) => (page.spread > 1 ? 'spread' : index % 2);
+        const boxes = {};
+        for (let index = from; index < to; index++) {
+            const page = await loadPage(state.journal.id, runIndex, index);
+            if (!page) continue;
+            updateStatus(`Measuring margins: page ${index - from + 1}/${to - from}`);
+            const box = await runCleanup('measure', page.data);
+            if (!box) continue;
+
+            const side = sideOf(page, index);
+            const union = boxes[side];
+            boxes[side] = union
+                ? {
+                    left: Math.min(union.left, box.left),
+                    top: Math.min(union.top, box.top),
+                    right: Math.max(union.right, box.right),
+                    bottom: Math.max(union.bottom, box.bottom),
+                }
+                : box;
+        }
+        return (page, index) => padTrimBox(boxes[sideOf(page, index)]);
+    }
 
-            const dims = calculateImageDimensions(pageData.width, pageData.height);
-            pdf.addImage(pageData.data, 'JPEG', dims.offsetX, dims.offsetY, dims.drawWidth, dims.drawHeight);
+    function padTrimBox(box) {
+        if (!box) return null;
+        return {
+            left: Math.max(0, box.left - TRIM_PADDING),
+            top: Math.max(0, box.top - TRIM_PADDING),
+            right: Math.min(1, box.right + TRIM_PADDING),
+            bottom: Math.min(1, box.bottom + TRIM_PADDING),
+        };
+    }
+
+    // A stored page (data: Blob) with the cleanup in settings applied, cut to
+    // crop when given. The natural size shrinks with the crop so pages placed
+    // at actual size keep their scale, and OCR words and highlights move with
+    // it; words left outside are dropped.
+    async function cleanPage(page, settings, crop = null) {
+        const result = await runCleanup('process', page.data, {
+            crop,
+            enhance: settings.enhance,
+            tone: settings.tone || 'original',
+            format: page.format,
+            grayscale: page.grayscale,
+            quality: settings.quality / 100,
+        });
+        const scaleX = result.width / page.width;
+        const scaleY = result.height / page.height;
+
+        const words = page.words
+            ?.map((word) => {
+                const { x0, y0, x1, y1 } = word.bbox;
+                return { ...word, bbox: { x0: x0 - result.x, y0: y0 - result.y, x1: x1 - result.x, y1: y1 - result.y } };
+            })
+            .filter(({ bbox }) => bbox.x0 >= 0 && bbox.y0 >= 0 && bbox.x1 <= result.width && bbox.y1 <= result.height);
+
+        return {
+            ...page,
+            data: result.blob,
+            format: result.format,
+            grayscale: result.grayscale,
+            width: result.width,
+            height: result.height,
+            naturalWidth: Math.round((page.naturalWidth ?? page.width) * scaleX),
+            naturalHeight: Math.round((page.naturalHeight ?? page.height) * scaleY),
+            words: words ?? page.words,
+            highlights: moveHighlights(page.highlights, page, result, -result.x, -result.y),
+        };
+    }
+
+    async function downloadCurrentPageDirect() {
+        try {
+            updateStatus(`Downloading page ${getCurrentPageLabel()}...`);
+            const pageSetup = getPageSetup();
+            const imageSettings = getImageSettings();
+            const encoding = getImageEncoding(imageSettings, pageSetup);
+            const pageData = await captureCurrentPage(encoding);
+            const pages = await getCapturedPages(pageData, encoding, pageSetup.spreads === 'merge');
+            const writer = new PdfWriter();
+            for (const page of pages) {
+                let image = { ...page, data: page.blob };
+                if (hasCleanup(imageSettings)) {
+                    const crop = imageSettings.trimMargins ? padTrimBox(await runCleanup('measure', image.data)) : null;
+                    image = await cleanPage(image, imageSettings, crop);
+                }
+                await addCapturedPage(writer, image, pageSetup);
+            }
+            const labels = pages.map((page) => page.pageLabel);
+            const pdf = writer.finish({ pageLabels: labels, outline: buildOutline(labels), metadata: getDocumentMetadata(labels) });
 
-            const filename = sanitizeFilename(getBookTitle() || 'vitalsource');
             const pageLabel = pageData.pageLabel || getCurrentPageLabel() || '1';
-            pdf.save(`${filename}_page${pageLabel}.pdf`);
+            const first = labels[0] || pageLabel;
+            await downloadBlob(pdf, `${formatFilename(getFilenameTemplate(), { first, last: labels[labels.length - 1] || first })}.pdf`);
 
-            console.log('[VS-PDF] Downloaded page', pageLabel);
+            updateStatus(`Downloaded page ${pageLabel}.`, 'success');
         } catch (e) {
             console.error('[VS-PDF] Download failed:', e);
             alert('Download failed: ' + e.message);
         }
-    }
+    }
+
+    // Region clips — a figure or table cut from the page on screen at its
+    // source resolution, captioned with the book title and page. A clip is
+    // saved as a PNG, copied to the clipboard or collected into the clips
+    // PDF, which keeps collecting until it is saved or the tab is closed.
+    const CLIP_CAPTION_SIZE = 10; // Caption size on clips PDF pages, in points
+
+    function getClipCaption(pageLabel) {
+        return [getBookTitle(), pageLabel && `p. ${pageLabel}`].filter(Boolean).join(', ');
+    }
+
+    // Lets the user drag out a region on the page images on screen. Resolves
+    // with the clip ({ blob, width, height, pageLabel, caption }), or null
+    // if they cancel.
+    async function selectRegion() {
+        await pingIframe();
+        const frames = getImageFrames();
+        const requestId = 'clip_' + randomId();
+        const pageLabel = getCurrentPageLabel();
+
+        let reply;
+        showClipBanner();
+        try {
+            reply = await new Promise((resolve, reject) => {
+                state.clip = { requestId, frameIds: frames.map((frame) => frame.frameId), resolve, reject };
+                frames.forEach((frame) => broadcastToIframes(createRequest('VS_CLIP_START', { requestId, frameId: frame.frameId })));
+            });
+        } finally {
+            state.clip = null;
+            broadcastToIframes(createRequest('VS_CLIP_END', { requestId }));
+            hideClipBanner();
+        }
+        if (!reply) return null;
+
+        // Which page of a spread the clip is from: its place among the frame's
+        // images, or among the frames when each shows one page
+        const { image, index, count, rtl } = reply.data;
+        let position = index;
+        let pages = count;
+        if (frames.length > 1) {
+            const direction = rtl ? -1 : 1;
+            const order = frames.map((frame) => ({ frameId: frame.frameId, left: getFrameLeft(frame) }))
+                .sort((a, b) => direction * (a.left - b.left));
+            position = order.findIndex((frame) => frame.frameId === reply.frameId);
+            pages = frames.length;
+        }
+        const label = pageLabel ? getSpreadLabels(pageLabel, pages)[position] : '';
+        return { blob: dataUrlToBlob(image.data), width: image.width, height: image.height, pageLabel: label, caption: getClipCaption(label) || '' };
+    }
+
+    function cancelClip() {
+        state.clip?.resolve(null);
+    }
+
+    async function clipRegion() {
+        if (state.clip || state.isRunning) return;
+        try {
+            const clip = await selectRegion();
+            if (clip) showClipDialog(clip);
+            else updateStatus('Clip cancelled.');
+        } catch (e) {
+            console.error('[VS-PDF] Clip failed:', e);
+            alert('Clip failed: ' + e.message);
+        }
+    }
+
+    // The clip with its caption in a white band underneath, for PNG files and
+    // the clipboard. The caption is sized to the clip, smaller if it would
+    // run past the edge.
+    async function addCaptionBand(clip) {
+        if (!clip.caption) return clip.blob;
+
+        const bitmap = await createImageBitmap(clip.blob);
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        const font = (size) => `${size}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+        let size = Math.max(12, Math.round(clip.width / 40));
+        ctx.font = font(size);
+        const room = Math.max(1, clip.width - size);
+        const textWidth = ctx.measureText(clip.caption).width;
+        if (textWidth > room) size = Math.max(8, Math.floor((size * room) / textWidth));
+        const band = Math.round(size * 2);
+
+        // Resizing the canvas resets the context, font included
+        canvas.width = clip.width;
+        canvas.height = clip.height + band;
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        ctx.font = font(size);
+        ctx.fillStyle = '#333';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(clip.caption, size / 2, clip.height + band / 2, room);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The clip could not be encoded'))), 'image/png');
+        });
+    }
+
+    async function saveClipImage(clip) {
+        const name = [getBookTitle() || 'vitalsource-book', clip.pageLabel && `p${clip.pageLabel}`, 'clip'].filter(Boolean).join('_');
+        await downloadBlob(await addCaptionBand(clip), `${sanitizeFilename(name, FILENAME_MAX_LENGTH)}.png`);
+        updateStatus(`Saved the clip from page ${clip.pageLabel || '?'} as PNG.`, 'success');
+    }
+
+    // The caption also goes on the clipboard as text, for where images can't be pasted
+    async function copyClip(clip) {
+        const items = { 'image/png': await addCaptionBand(clip) };
+        if (clip.caption) items['text/plain'] = new Blob([clip.caption], { type: 'text/plain' });
+        await navigator.clipboard.write([new ClipboardItem(items)]);
+        updateStatus(`Copied the clip from page ${clip.pageLabel || '?'}.`, 'success');
+    }
+
+    function collectClip(clip) {
+        state.clips.push(clip);
+        updateStatus(`Added the clip to the clips PDF (${state.clips.length} so far).`, 'success');
+    }
+
+    // Where a clip goes on its page, in points from the top left: at the size
+    // it prints at in the book (the page setup's source resolution), shrunk
+    // to fit if need be, at the top of the page with its caption under it.
+    // With "Match source image" the page is cut to the clip instead.
+    function calculateClipPlacement(clip, setup) {
+        const margin = setup.margin * 72;
+        const caption = clip.caption ? { text: clip.caption, size: CLIP_CAPTION_SIZE } : null;
+        const band = caption ? CLIP_CAPTION_SIZE * 2.5 : 0;
+        let width = (clip.width * 72) / setup.dpi;
+        let height = (clip.height * 72) / setup.dpi;
+
+        if (setup.size === 'source') {
+            const captionWidth = caption ? caption.text.length * CLIP_CAPTION_SIZE * 0.5 : 0; // rough Helvetica average advance
+            return {
+                pageWidth: Math.max(width, captionWidth) + margin * 2,
+                pageHeight: height + band + margin * 2,
+                x: margin, y: margin, width, height, caption,
+            };
+        }
+
+        const page = getPageSize(setup);
+        const scale = Math.min(1, (page.width - margin * 2) / width, (page.height - margin * 2 - band) / height);
+        width *= scale;
+        height *= scale;
+        return { pageWidth: page.width, pageHeight: page.height, x: (page.width - width) / 2, y: margin, width, height, caption };
+    }
+
+    // One page per clip, labelled with the page it came from
+    async function saveClipsPdf() {
+        const clips = state.clips;
+        if (clips.length === 0) return;
+
+        try {
+            const setup = getPageSetup();
+            validatePageSetup(setup);
+            const writer = new PdfWriter();
+            for (const clip of clips) {
+                writer.addImagePage(await PdfWriter.flateImage(clip.blob), calculateClipPlacement(clip, setup));
+            }
+            const title = getBookTitle();
+            const pdf = writer.finish({
+                pageLabels: clips.map((clip) => clip.pageLabel),
+                metadata: getDocumentMetadata([], title ? `${title} – Clips` : 'Clips'),
+            });
+            await downloadBlob(pdf, `${sanitizeFilename(`${title || 'vitalsource-book'}_clips`, FILENAME_MAX_LENGTH)}.pdf`);
+
+            state.clips = [];
+            updateStatus(`Saved ${clips.length} ${clips.length === 1 ? 'clip' : 'clips'} as a PDF.`, 'success');
+        } catch (e) {
+            console.error('[VS-PDF] Saving clips failed:', e);
+            alert('Saving clips failed: ' + e.message);
+        }
+    }
+
+    // Writes every captured page that hasn't been saved to a file yet
+    async function generatePDF() {
+        if (state.isAssembling) return;
+        const pending = getPendingRuns();
+        if (pending.length === 0) {
+            updateStatus('All captured pages were already saved.', 'success');
+            return;
+        }
+
+        state.isAssembling = true;
+        try {
+            for (const run of pending) {
+                while (run.capturedLabels.length > getWrittenCount(run)) {
+                    if (!(await writeRunFile(run))) return;
+                }
+            }
+            updateStatus('All captured pages saved.', 'success');
+            finishJournal();
+        } finally {
+            state.isAssembling = false;
+            updateModalUI();
+        }
+    }
+
+    // Page store — captured pages go to IndexedDB as soon as they arrive, so
+    // memory use doesn't grow with the length of the capture. Records are
+    // keyed by journal session, run and page index within the run.
+    let pageDbPromise = null;
+
+    function openPageStore() {
+        if (!pageDbPromise) {
+            pageDbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open('vs-pdf-pages', 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('pages', { keyPath: ['sessionId', 'run', 'index'] });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return pageDbPromise;
+    }
+
+    async function pageStoreRequest(mode, operation) {
+        const db = await openPageStore();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('pages', mode);
+            const request = operation(tx.objectStore('pages'));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Page store transaction aborted'));
+        });
+    }
+
+    function storePage(record) {
+        return pageStoreRequest('readwrite', (store) => store.put(record));
+    }
+
+    function loadPage(sessionId, run, index) {
+        return pageStoreRequest('readonly', (store) => store.get([sessionId, run, index]));
+    }
+
+    // Replaces a run's pages from index `from` on with records, renumbered in order
+    function replaceRunPages(sessionId, run, from, records) {
+        return pageStoreRequest('readwrite', (store) => {
+            store.delete(IDBKeyRange.bound([sessionId, run, from], [sessionId, run, []]));
+            let request = null;
+            records.forEach((record, i) => {
+                request = store.put({ ...record, sessionId, run, index: from + i });
+            });
+            return request;
+        });
+    }
+
+    function deleteSessionPages(sessionId) {
+        // [sessionId, []] sorts after every [sessionId, run, index] key
+        return pageStoreRequest('readwrite', (store) => store.delete(IDBKeyRange.bound([sessionId], [sessionId, []])))
+            .catch((e) => console.warn('[VS-PDF] Could not delete stored pages:', e.message));
+    }
+
+    // Session journal — the latest capture session per book is kept in
+    // extension storage so an interrupted capture can be resumed later
+    function getBookId() {
+        const match = window.location.pathname.match(/\/reader\/books\/([^/]+)/);
+        return match ? decodeURIComponent(match[1]) : 'unknown';
+    }
+
+    function journalKey() {
+        return `journal:${getBookId()}`;
+    }
+
+    async function loadJournal() {
+        try {
+            const stored = await chrome.storage.local.get(journalKey());
+            return stored[journalKey()] || null;
+        } catch (e) {
+            console.warn('[VS-PDF] Could not read journal:', e.message);
+            return null;
+        }
+    }
+
+    function saveJournal() {
+        if (!state.journal) return;
+        state.journal.updatedAt = Date.now();
+        chrome.storage.local.set({ [journalKey()]: state.journal })
+            .catch((e) => console.warn('[VS-PDF] Could not save journal:', e.message));
+    }
+
+    function discardJournal() {
+        if (state.journal) deleteSessionPages(state.journal.id);
+        state.journal = null;
+        chrome.storage.local.remove(journalKey())
+            .catch((e) => console.warn('[VS-PDF] Could not discard journal:', e.message));
+    }
+
+    function startJournal(settings, runs) {
+        if (state.journal) deleteSessionPages(state.journal.id);
+        state.journal = {
+            id: String(Date.now()),
+            bookId: getBookId(),
+            startedAt: Date.now(),
+            updatedAt: Date.now(),
+            status: 'running',
+            settings,
+            runs,
+        };
+        saveJournal();
+    }
+
+    function finishJournal() {
+        if (!state.journal) return;
+        const { runs } = state.journal;
+        state.journal.status = runs.every((run) => run.complete) ? 'complete' : 'interrupted';
+        saveJournal();
+
+        // Stored pages are only needed until everything has been written out
+        if (runs.every((run) => run.complete && getWrittenCount(run) === run.capturedLabels.length)) {
+            deleteSessionPages(state.journal.id);
+        }
+    }
+
+    // A run is one forward capture (a page range or a single chapter) that
+    // produces one or more files. pageLimit is null for "no limit", since the
+    // journal is stored as JSON. capturedLabels has one entry per stored page.
+    function createRun({ title = null, template, startLabel, pageLimit = null, expectedPages = null, endLabel = null, stopBeforeLabel = null }) {
+        return {
+            title, template, startLabel, pageLimit, expectedPages, endLabel, stopBeforeLabel,
+            capturedLabels: [],
+            chunks: [],
+            complete: false,
+        };
+    }
+
+    // Runs with captured pages that haven't been written to a file yet
+    function getPendingRuns(journal = state.journal) {
+        return journal?.runs.filter((run) => run.capturedLabels.length > getWrittenCount(run)) || [];
+    }
+
+    function getResumeLabel(run) {
+        return run.capturedLabels.length > 0 ? run.capturedLabels[run.capturedLabels.length - 1] : run.startLabel;
+    }
+
+    // Number of the run's pages already written to files
+    function getWrittenCount(run) {
+        return run.chunks.length > 0 ? run.chunks[run.chunks.length - 1].to : 0;
+    }
+
+    // Capture workflow
+    const CHUNK_SIZE = 50; // Default pages per file when splitting output
+    const SIZE_SAMPLE_PAGES = 3; // Pages captured before the file size is estimated
+
+    function formatFilename(template, fields) {
+        return VsFilenames.formatFilename(template, getBookMetadata(), fields);
+    }
+
+    function getFilenameTemplate() {
+        return document.getElementById('vs-filename')?.value.trim() || state.settings.filenameTemplate;
+    }
+
+    // Runs journaled before filename templates kept a plain base name
+    function getRunFilename(run, { first, last, part }) {
+        const date = state.journal?.startedAt;
+        if (run.template === undefined) return formatFilename(`${run.filename}_{part}_p{first}-{last}`, { first, last, part, date });
+        return formatFilename(run.template, { chapter: run.title || '', first, last, part, date });
+    }
+
+    function isOcrEnabled() {
+        return document.getElementById('vs-ocr').checked;
+    }
+
+    function isAnnotationsEnabled() {
+        return document.getElementById('vs-annotations').checked;
+    }
+
+    function isReviewEnabled() {
+        return document.getElementById('vs-review').checked;
+    }
+
+    // Pages per file, or null for a single file per run
+    function getChunkSize() {
+        if (!document.getElementById('vs-split').checked) return null;
+        return parseInt(document.getElementById('vs-chunk-size').value, 10) || CHUNK_SIZE;
+    }
+
+    // Image settings from the modal, or the saved defaults when it hasn't been opened
+    function getImageSettings() {
+        if (!document.getElementById('vs-image-format')) return { ...state.settings.image };
+
+        const quality = parseInt(document.getElementById('vs-image-quality').value, 10);
+        const dpi = parseInt(document.getElementById('vs-image-dpi').value, 10);
+        return {
+            format: document.getElementById('vs-image-format').value,
+            quality: quality >= 1 && quality <= 100 ? quality : DEFAULT_IMAGE_SETTINGS.quality,
+            grayscale: document.getElementById('vs-image-grayscale').checked,
+            dpi: dpi > 0 ? dpi : null,
+            trimMargins: document.getElementById('vs-image-trim').checked,
+            enhance: document.getElementById('vs-image-enhance').checked,
+            tone: document.getElementById('vs-image-tone').value,
+        };
+    }
+
+    // Page setup from the modal, or the saved defaults when it hasn't been
+    // opened (single-page downloads)
+    function getPageSetup() {
+        if (!document.getElementById('vs-page-size')) return { ...state.settings.pageSetup };
+
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) && value >= 0 ? value : fallback;
+        };
+        return {
+            size: document.getElementById('vs-page-size').value,
+            customWidth: number('vs-custom-width', 0),
+            customHeight: number('vs-custom-height', 0),
+            fit: document.getElementById('vs-page-fit').value,
+            dpi: number('vs-page-dpi', 0) || DEFAULT_PAGE_SETUP.dpi,
+            margin: number('vs-page-margin', 0),
+            spreads: document.getElementById('vs-page-spreads').value,
+        };
+    }
+
+    // Output formats offered next to the filename. Every format is built from
+    // the same stored pages; only PDF uses the page setup.
+    const OUTPUT_FORMATS = {
+        pdf: { label: 'PDF', extension: 'pdf', create: () => new PdfWriter() },
+        zip: { label: 'ZIP', extension: 'zip', create: () => new ImageArchiveWriter('zip') },
+        cbz: { label: 'CBZ', extension: 'cbz', create: () => new ImageArchiveWriter('cbz') },
+        epub: { label: 'EPUB', extension: 'epub', create: () => new EpubWriter() },
+    };
+
+    function getOutputFormat() {
+        return document.getElementById('vs-format')?.value || state.settings.format;
+    }
+
+    // Assembles the run's stored pages that haven't been written yet (at most
+    // one chunk when splitting) into a file in the session's output format and
+    // downloads it. Returns false if assembly failed; the pages stay in the
+    // store either way.
+    async function writeRunFile(run) {
+        if (state.journal.settings.text) return writeTextRunFile(run);
+        const { chunkSize, pageSetup = DEFAULT_PAGE_SETUP, format = 'pdf', annotations } = state.journal.settings;
+        const imageSettings = { ...DEFAULT_IMAGE_SETTINGS, ...state.journal.settings.image };
+        const output = OUTPUT_FORMATS[format];
+        const runIndex = state.journal.runs.indexOf(run);
+        const from = getWrittenCount(run);
+        const to = chunkSize ? Math.min(from + chunkSize, run.capturedLabels.length) : run.capturedLabels.length;
+        const part = run.chunks.length + 1;
+
+        try {
+            const writer = output.create();
+            const labels = [];
+            const notebook = annotations && format === 'pdf' ? await getNotebook() : null;
+            const unplaced = [];
+            const trimBox = imageSettings.trimMargins ? await getTrimBoxes(runIndex, from, to) : null;
+            for (let index = from; index < to; index++) {
+                let page = await loadPage(state.journal.id, runIndex, index);
+                if (!page) throw new Error(`page ${index + 1} is missing from the page store`);
+                if (hasCleanup(imageSettings)) page = await cleanPage(page, imageSettings, trimBox?.(page, index));
+
+                if (format === 'pdf') {
+                    const matched = notebook ? matchAnnotations(page, notebook) : { annotations: [], unplaced: [] };
+                    unplaced.push(...matched.unplaced);
+                    await addCapturedPage(writer, page, pageSetup, matched.annotations);
+                } else {
+                    await writer.addPage(page);
+                }
+                labels.push(page.label);
+                updateStatus(`Assembling ${output.label}: page ${index - from + 1}/${to - from}`);
+                updateProgress(index - from + 1, to - from);
+            }
+
+            // Notes that couldn't be placed on their page follow the pages
+            const outline = buildOutline(labels);
+            const pageLabels = [...labels];
+            if (notebook) {
+                outline.push(...buildBookmarkOutline(labels, notebook));
+                if (unplaced.length > 0) {
+                    outline.push({ title: 'Notes', pageIndex: writer.pageCount, children: [] });
+                    writer.addTextPages(buildNotesBlocks(unplaced), getPageSize(pageSetup));
+                    while (pageLabels.length < writer.pageCount) pageLabels.push('Notes');
+                }
+            }
+
+            const bookTitle = getBookTitle() || 'vitalsource-book';
+            const title = run.title ? `${bookTitle}: ${run.title}` : bookTitle;
+            const blob = await writer.finish({
+                pageLabels,
+                outline,
+                title,
+                metadata: getDocumentMetadata(labels, title),
+            });
+            const firstLabel = labels[0] || String(from + 1);
+            const lastLabel = labels[labels.length - 1] || String(to);
+
+            // A file holding the whole run needs no part number
+            const wholeRun = from === 0 && run.complete && to === run.capturedLabels.length;
+            const name = getRunFilename(run, { first: firstLabel, last: lastLabel, part: wholeRun ? null : part });
+            const file = `${name}.${output.extension}`;
+            await downloadBlob(blob, file);
+
+            // Only a saved file counts as written
+            run.chunks.push({ part, file, from, to, firstLabel, lastLabel });
+            saveJournal();
+
+            updateStatus(
+                `Saved ${wholeRun ? file : `part ${part}`} (pages ${firstLabel}–${lastLabel}). ` +
+                `${run.capturedLabels.length} pages captured total.`,
+                'success'
+            );
+            return true;
+        } catch (e) {
+            console.error('[VS-PDF] Assembly failed:', e);
+            updateStatus(`Could not assemble ${output.label}: ${e.message}. Captured pages are kept; try "Download ${output.label}" again.`, 'error');
+            return false;
+        }
+    }
+
+    // Captures the current page (or spread), making sure it isn't what was
+    // captured just before (previousSrcs, the images in reading order): if a
+    // frame still shows one of those, waits for the new image first. An image
+    // still in its old place means that page hasn't turned yet, and throws
+    // with error.stale set, so the caller retries instead of moving on. One
+    // that moved to another place was captured already (the reader turned a
+    // single page through spreads) and is left out of pageData.images;
+    // pageData.srcs keeps everything that was on screen.
+    async function captureFreshPage(encoding, previousSrcs = []) {
+        if (previousSrcs.length > 0) await waitForPageImage(previousSrcs, getNavigationTimeout());
+
+        const pageData = await captureCurrentPage(encoding);
+        pageData.srcs = pageData.images.map((image) => image.src);
+        const fresh = pageData.images.filter((image) => !image.src || !previousSrcs.includes(image.src));
+        if (fresh.length === 0 || pageData.images.some((image, i) => image.src && image.src === previousSrcs[i])) {
+            const error = new Error(`page ${pageData.pageLabel} still shows the previous page's image`);
+            error.stale = true;
+            throw error;
+        }
+        pageData.images = fresh;
+        return pageData;
+    }
+
+    // One fingerprint for the pages captured together: their hashes joined,
+    // blank if any of them is
+    function getViewFingerprint(images) {
+        const prints = images.map((image) => image.fingerprint);
+        if (prints.some((print) => !print)) return {};
+        return { hash: prints.map((print) => print.hash).join(''), blank: prints.some((print) => print.blank) };
+    }
+
+    // The pages to store for a capture: one per image, or with merge a
+    // single page with a spread's images side by side. Each page keeps the
+    // label the reader showed and its place in the view, which is how it is
+    // found again (a spread's second label is only worked out from the first).
+    async function getCapturedPages(pageData, encoding, merge) {
+        const pages = pageData.images.map((image, position) => ({
+            ...image,
+            labels: [image.pageLabel],
+            view: { label: pageData.pageLabel, position },
+            blob: dataUrlToBlob(image.data),
+        }));
+        return merge && pages.length > 1 ? [await mergeSpread(pages, encoding)] : pages;
+    }
+
+    // Draws a spread's pages side by side, vertically centered, and encodes
+    // the result like the pages themselves. The merged page is
+    // labelled with its first page.
+    async function mergeSpread(pages, encoding) {
+        const bitmaps = await Promise.all(pages.map((page) => createImageBitmap(page.blob)));
+        const width = bitmaps.reduce((sum, bitmap) => sum + bitmap.width, 0);
+        const height = Math.max(...bitmaps.map((bitmap) => bitmap.height));
+
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, width, height);
+        let x = 0;
+        const highlights = [];
+        bitmaps.forEach((bitmap, i) => {
+            const y = Math.round((height - bitmap.height) / 2);
+            ctx.drawImage(bitmap, x, y);
+            highlights.push(...moveHighlights(pages[i].highlights, bitmap, { width, height }, x, y));
+            x += bitmap.width;
+            bitmap.close();
+        });
+
+        const [first] = pages;
+        return {
+            ...first,
+            blob: await canvas.convertToBlob({ type: `image/${first.format}`, quality: encoding.quality }),
+            width,
+            height,
+            naturalWidth: pages.reduce((sum, page) => sum + page.naturalWidth, 0),
+            naturalHeight: Math.max(...pages.map((page) => page.naturalHeight)),
+            labels: pages.map((page) => page.pageLabel),
+            spread: pages.length,
+            highlights,
+        };
+    }
+
+    // Highlight boxes (fractions of an image of size source) for an image of
+    // size target that holds the source with its top left corner at dx, dy
+    // pixels. Parts falling outside the target are cut off.
+    function moveHighlights(highlights = [], source, target, dx, dy) {
+        return highlights
+            .map((highlight) => ({
+                ...highlight,
+                rects: highlight.rects
+                    .map((rect) => {
+                        const left = Math.max(0, (rect.x * source.width + dx) / target.width);
+                        const top = Math.max(0, (rect.y * source.height + dy) / target.height);
+                        const right = Math.min(1, ((rect.x + rect.width) * source.width + dx) / target.width);
+                        const bottom = Math.min(1, ((rect.y + rect.height) * source.height + dy) / target.height);
+                        return { x: left, y: top, width: right - left, height: bottom - top };
+                    })
+                    .filter((rect) => rect.width > 0 && rect.height > 0),
+            }))
+            .filter((highlight) => highlight.rects.length > 0);
+    }
+
+    // Page store record fields for a captured page (image is the decoded Blob)
+    function pageRecord(pageData, image, words) {
+        return {
+            label: pageData.pageLabel,
+            format: pageData.format,
+            grayscale: pageData.grayscale,
+            width: pageData.width,
+            height: pageData.height,
+            naturalWidth: pageData.naturalWidth,
+            naturalHeight: pageData.naturalHeight,
+            spread: pageData.spread, // book pages merged into this one, when more than one
+            labels: pageData.labels,
+            view: pageData.view, // { label, position } of the reader's view it came from
+            highlights: pageData.highlights, // the user's highlights on the page, see iframe.js
+            data: image,
+            words,
+        };
+    }
+
+    // Fingerprints differing in at most this many of their 64 bits are the same image
+    const DUPLICATE_DISTANCE = 3;
+    const CHECK_RETRIES = 2; // Extra captures of a page that looks blank or duplicated
+
+    function hashDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            for (; bits; bits &= bits - 1) distance++;
+        }
+        return distance;
+    }
+
+    // Captures the current page and checks its fingerprint against the
+    // previous page's ({ label, srcs, hash } or null). The same label and image
+    // again means the reader didn't move, so the page is skipped. The previous
+    // image under a new label, or a blank frame, is captured again after a
+    // pause; if it persists the page is kept and listed in state.suspiciousPages.
+    async function captureCheckedPage(encoding, previous) {
+        for (let attempt = 0; ; attempt++) {
+            const pageData = await captureFreshPage(encoding, previous?.srcs);
+            const { hash, blank } = getViewFingerprint(pageData.images);
+            const label = pageData.pageLabel || `#${state.pageCount + 1}`;
+            const duplicate = !!(hash && previous?.hash) && hash.length === previous.hash.length &&
+                hashDistance(hash, previous.hash) <= DUPLICATE_DISTANCE;
+
+            if (duplicate && pageData.pageLabel && normalizeLabel(pageData.pageLabel) === normalizeLabel(previous.label)) {
+                return { pageData, skip: true };
+            }
+            if (!duplicate && !blank) return { pageData, skip: false };
+
+            if (attempt >= CHECK_RETRIES) {
+                state.suspiciousPages.push(duplicate ? `${label} (same image as ${previous.label || 'the page before'})` : `${label} (blank)`);
+                return { pageData, skip: false };
+            }
+            updateStatus(`Page ${label} looks ${duplicate ? 'the same as the previous page' : 'blank'}; capturing it again...`);
+            await sleep(1000 * (attempt + 1));
+        }
+    }
+
+    // OCR problems don't stop the capture: the page is kept as a plain image
+    // and listed at the end
+    async function recognizeForRun(image, label) {
+        try {
+            return await recognizePage(image, (progress) => {
+                updateStatus(`Recognizing text on page ${label}: ${Math.round(progress * 100)}%`);
+            });
+        } catch (e) {
+            console.warn(`[VS-PDF] OCR failed on page ${label}:`, e.message);
+            state.ocrFailures.push(label);
+            return null;
+        }
+    }
+
+    // Background job — the service worker (background.js) owns a capture
+    // once the journal has been set up. It works through the runs and sends
+    // this tab one command at a time: VS_JOB_PREPARE (after a reload),
+    // VS_RUN_OPEN, VS_PAGE_STEP for each page, VS_RUN_CLOSE and VS_JOB_CLOSE.
+    // The tab carries them out on the reader and keeps the journal and the
+    // page store, so a job can always carry on from them.
+    const JOB_IDLE_TIMEOUT = 30000; // Time without a command before a running tab checks in with the worker
+
+    let jobCommands = Promise.resolve(); // commands run one after another
+
+    function notifyJob(type, fields) {
+        try {
+            chrome.runtime.sendMessage({ type, ...fields }).catch(() => {});
+        } catch {
+            // The extension was reloaded; this page can't reach it any more
+        }
+    }
+
+    // Pages the whole session is expected to capture, when every run says
+    function getJobTotal() {
+        const { runs } = state.journal;
+        return runs.every((run) => run.expectedPages > 0) ? runs.reduce((sum, run) => sum + run.expectedPages, 0) : null;
+    }
+
+    // Hands the journaled session to the service worker, which drives it
+    // from here. Returns false, with the capture ended, if it can't be reached.
+    async function startJob() {
+        state.ocrFailures = [];
+        state.notebook = null;
+        state.suspiciousPages = [];
+        state.sizeSample = { bytes: 0, pages: 0 };
+        try {
+            const reply = await chrome.runtime.sendMessage({
+                type: 'VS_JOB_START', sessionId: state.journal.id, title: getBookTitle() || 'Untitled book', total: getJobTotal(),
+            });
+            if (reply?.ok) {
+                watchJob();
+                return true;
+            }
+        } catch {
+            // Handled below
+        }
+        updateStatus('The extension is not responding. Reload this page and try again.', 'error');
+        finishJournal();
+        state.isRunning = false;
+        updateModalUI();
+        return false;
+    }
+
+    // Asks the worker to stop the running capture after the current page
+    function stopJob() {
+        state.isRunning = false;
+        updateStatus('Stopping capture...');
+        updateModalUI();
+        notifyJob('VS_JOB_STOP');
+    }
+
+    // A worker that was stopped and lost track of the job is woken up to
+    // carry on with it
+    function watchJob() {
+        clearTimeout(state.jobWatchdog);
+        state.jobWatchdog = setTimeout(() => {
+            if (state.isRunning && state.journal) notifyJob('VS_TAB_READY', { sessionId: state.journal.id });
+        }, JOB_IDLE_TIMEOUT);
+    }
+
+    // After a reload, or a worker restart: gets the reader and the dialog
+    // back into shape for the running session
+    async function prepareJob() {
+        await waitUntil(() => getCurrentPageLabel(), 30000);
+        showModal();
+        state.isRunning = true;
+        updateModalUI();
+        updateStatus('Resuming the capture...');
+        try {
+            await pingIframe();
+            if (state.journal.settings.bookmarks) await resolveAllTocEntries();
+        } catch (e) {
+            updateStatus(`Error: ${e.message}`, 'error');
+            return { ok: false };
+        }
+        state.journal.status = 'running';
+        saveJournal();
+        return { ok: true };
+    }
+
+    // Goes to where the run starts, or to the page after its last saved
+    // page. Replies ready, complete (nothing left to do), finished (the book
+    // ended right there), or failed when the page can't be reached.
+    async function openRun({ runIndex }) {
+        const run = state.journal.runs[runIndex];
+        if (!run) return { result: 'done' };
+        if (run.complete) return { result: 'complete' };
+
+        const from = getResumeLabel(run);
+        updateStatus(run.title ? `Going to "${run.title}" (page ${from})...` : `Going to page ${from}...`);
+        if (!(await goToPage(from))) {
+            updateStatus(`Could not navigate to page ${from}${run.title ? ` for "${run.title}"` : ''}.`, 'error');
+            return { result: 'failed' };
+        }
+
+        try {
+            if (run.capturedLabels.length > 0 && (await goToNextPage()) === 'last-page') return { result: 'finished' };
+        } catch (e) {
+            updateStatus(`Could not go past page ${from}: ${e.message}.`, 'error');
+            return { result: 'failed' };
+        }
+        return { result: 'ready' };
+    }
+
+    // One step of a run: turns the page if the last step couldn't, captures
+    // the page on screen into the page store, and turns to the next one.
+    // Pages already stored for the run (when resuming) count towards its
+    // limit, and every chunkSize pages are written out when splitting.
+    // previous is the last page's fingerprint ({ label, srcs, hash }, see
+    // captureCheckedPage) and errors the failed steps just before this one.
+    // Replies captured, finished (at the run's end, its limit or the last
+    // page of the book), stopped, write-failed or error, with the
+    // fingerprint and pending turn to pass to the next step.
+    async function captureStep({ runIndex, previous, turnPending, errors, maxErrors, retry }) {
+        if (state.journal.settings.text) return captureTextStep({ runIndex, turnPending, errors, maxErrors, retry });
+        const run = state.journal.runs[runIndex];
+        const { expectedPages, endLabel, stopBeforeLabel } = run;
+        const { chunkSize, ocr, review, image: imageSettings, pageSetup } = state.journal.settings;
+        const encoding = getImageEncoding(imageSettings, pageSetup);
+        const pageLimit = run.pageLimit ?? Infinity;
+        let totalCaptured = run.capturedLabels.length;
+        let captured = 0;
+        let checked = false; // a page was captured, whatever happens after
+
+        const reply = (result, fields) => ({
+            result, previous, turnPending, checked, captured, current: state.pageCount, total: getJobTotal(), ...fields,
+        });
+
+        if (!state.isRunning) return reply('stopped');
+        if (totalCaptured >= pageLimit) return reply('finished');
+        if (!review && chunkSize && totalCaptured - getWrittenCount(run) >= chunkSize) {
+            if (!(await writeRunFile(run))) return reply('write-failed');
+        }
+        if (retry) updateStatus(`Retrying after error: ${retry} (attempt ${errors}/${maxErrors})`, 'info');
+
+        try {
+            if (totalCaptured > 0 && stopBeforeLabel && isAtOrPastLabel(getCurrentPageLabel(), stopBeforeLabel)) {
+                return reply('finished');
+            }
+
+            if (errors > 0) {
+                state.readyFrames.clear();
+                await pingIframe();
+            }
+
+            if (turnPending) {
+                if ((await goToNextPage()) === 'last-page') return reply('finished');
+                turnPending = false;
+            }
+
+            const { pageData, skip } = await captureCheckedPage(encoding, previous);
+            checked = true;
+
+            if (skip) {
+                console.warn(`[VS-PDF] Skipping repeat of page ${pageData.pageLabel}`);
+                turnPending = true;
+                return reply('captured');
+            }
+            previous = { label: pageData.pageLabel, srcs: pageData.srcs, hash: getViewFingerprint(pageData.images).hash };
+
+            // A spread is stored as its pages, which count on their own
+            // towards the limit and the start and end labels. The end
+            // label may also be the reader's name for the whole spread.
+            const pages = await getCapturedPages(pageData, encoding, pageSetup.spreads === 'merge');
+            for (const page of pages) {
+                const labels = page.labels.map(normalizeLabel);
+                if (page === pages[pages.length - 1]) labels.push(normalizeLabel(pageData.pageLabel));
+                if (totalCaptured > 0 && stopBeforeLabel && isAtOrPastLabel(page.labels[0] ?? page.pageLabel, stopBeforeLabel)) {
+                    return reply('finished');
+                }
+
+                const words = ocr ? await recognizeForRun(page.blob, page.pageLabel || `#${totalCaptured + 1}`) : null;
+
+                await storePage({ sessionId: state.journal.id, run: runIndex, index: totalCaptured, ...pageRecord(page, page.blob, words) });
+                state.sizeSample.bytes += page.blob.size;
+                state.sizeSample.pages++;
+                totalCaptured++;
+                captured++;
+                run.capturedLabels.push(page.pageLabel);
+                saveJournal();
+
+                const label = page.pageLabel || `#${totalCaptured}`;
+
+                // Track overall state for the UI
+                state.pageCount++;
+                if (!state.firstPageLabel) state.firstPageLabel = label;
+                state.lastPageLabel = label;
+
+                updateModalUI();
+                updateStatus(`Captured page ${label} (${totalCaptured}/${expectedPages || '?'})`);
+                updateProgress(totalCaptured, expectedPages);
+                if (state.sizeSample.pages === SIZE_SAMPLE_PAGES) {
+                    showSizeEstimate(state.sizeSample.bytes / SIZE_SAMPLE_PAGES, expectedPages, `first ${SIZE_SAMPLE_PAGES} pages`);
+                }
+
+                if (endLabel && labels.includes(normalizeLabel(endLabel))) {
+                    updateStatus(`Reached page ${endLabel}. ${totalCaptured} pages captured total.`, 'success');
+                    return reply('finished');
+                }
+                if (totalCaptured >= pageLimit) return reply('finished');
+            }
+
+            turnPending = true;
+            if ((await goToNextPage()) === 'last-page') {
+                updateStatus(
+                    endLabel
+                        ? `Reached the last page before page ${endLabel}. ${totalCaptured} pages captured total.`
+                        : `Reached last page. ${totalCaptured} pages captured total.`,
+                    'success'
+                );
+                return reply('finished');
+            }
+            turnPending = false;
+            return reply('captured');
+        } catch (e) {
+            console.warn(`[VS-PDF] Error on page ${totalCaptured + 1}:`, e.message);
+            // A stale page is captured again; otherwise the page that failed
+            // is passed, or the turn that failed is tried again, without
+            // capturing the page twice
+            return reply('error', { message: e.message, turnPending: e.stale ? turnPending : true });
+        }
+    }
+
+    // Ends the run: it is complete when it got to its end (or its limit),
+    // and a complete run is written out as one file, or the rest of its
+    // chunks when splitting
+    async function closeRun({ runIndex, reason, errors, message }) {
+        const run = state.journal.runs[runIndex];
+        const totalCaptured = run.capturedLabels.length;
+        if (reason === 'errors') {
+            updateStatus(`Stopped after ${errors} consecutive errors: ${message}. ${totalCaptured} pages captured.`, 'error');
+        }
+        run.complete = reason === 'finished' || totalCaptured >= (run.pageLimit ?? Infinity);
+        saveJournal();
+
+        // An interrupted run keeps its unwritten pages in the store, to be
+        // resumed or saved with "Download PDF". With review on, nothing is
+        // written until the user confirms in the review grid.
+        if (run.complete && !state.journal.settings.review) {
+            while (totalCaptured > getWrittenCount(run)) {
+                if (!(await writeRunFile(run))) break;
+            }
+            if (run.chunks.length > 1) {
+                updateStatus(`Done! ${totalCaptured} pages saved across ${run.chunks.length} files.`, 'success');
+            }
+        }
+        return { complete: run.complete };
+    }
+
+    // Ends the job; saved is the number of runs that captured pages
+    function closeJob({ saved }) {
+        clearTimeout(state.jobWatchdog);
+        finishJournal();
+        const { settings, runs } = state.journal;
+
+        if (settings.review && getPendingRuns().length > 0) {
+            updateStatus(`${state.pageCount} pages captured. Use "Review & save" to check them before the file is built.`, 'success');
+        }
+
+        const problems = [];
+        if (state.suspiciousPages.length > 0) {
+            problems.push(`Please check these pages, which still looked wrong after retrying: ${state.suspiciousPages.join(', ')}.`);
+        }
+        if (state.ocrFailures.length > 0) {
+            problems.push(`Text recognition failed on pages ${state.ocrFailures.join(', ')}; they were saved as images only.`);
+        }
+        if (problems.length > 0) updateStatus(problems.join(' '), 'error');
+
+        if (settings.mode === 'chapters' && saved > 0 && !settings.review) {
+            updateStatus(`Done! Saved ${saved} of ${runs.length} chapters (${state.pageCount} pages).`, 'success');
+        }
+
+        state.isRunning = false;
+        updateModalUI();
+        return { complete: state.journal.status === 'complete', summary: state.status.text };
+    }
+
+    const JOB_COMMANDS = {
+        VS_JOB_PREPARE: prepareJob,
+        VS_RUN_OPEN: openRun,
+        VS_PAGE_STEP: captureStep,
+        VS_RUN_CLOSE: closeRun,
+        VS_JOB_CLOSE: closeJob,
+    };
+
+    // Carries out a command from the worker. Commands for a session this
+    // tab no longer has are answered with gone.
+    function runJobCommand(message) {
+        const run = jobCommands.then(async () => {
+            if (message.sessionId !== state.journal?.id) return { result: 'gone' };
+            clearTimeout(state.jobWatchdog);
+            try {
+                return await JOB_COMMANDS[message.type](message);
+            } finally {
+                if (state.isRunning) watchJob();
+            }
+        });
+        jobCommands = run.catch(() => {});
+        return run;
+    }
+
+    // A capture that was running when the page reloaded carries on if the
+    // service worker still has it as this tab's job: it sends VS_JOB_PREPARE
+    function resumeBackgroundJob(sessionId) {
+        notifyJob('VS_TAB_READY', { sessionId });
+    }
+
+    async function startCapture() {
+        if (state.isRunning) return;
+        if (state.mode === 'chapters') return startChapterCapture();
+        state.isRunning = true;
+        updateModalUI();
+
+        const rangeStart = document.getElementById('vs-range-start').value.trim();
+        const rangeEnd = document.getElementById('vs-range-end').value.trim();
+        const bookmarks = document.getElementById('vs-bookmarks').checked;
+        const pageSetup = getPageSetup();
+
+        // With an end label, capture runs until that page is reached; the
+        // estimate (when labels are comparable) only drives the progress bar
+        const requestedLimit = parseInt(document.getElementById('vs-page-limit').value, 10) || 10;
+        const pageLimit = rangeEnd ? null : requestedLimit;
+        const expectedPages = rangeEnd
+            ? estimateRangeLength(rangeStart || getCurrentPageLabel(), rangeEnd)
+            : requestedLimit;
+
+        updateStatus('Checking connection...');
+
+        let frame;
+        try {
+            if (expectedPages !== null && expectedPages < 1) {
+                throw new Error(`End page "${rangeEnd}" comes before start page "${rangeStart || getCurrentPageLabel()}".`);
+            }
+
+            validatePageSetup(pageSetup);
+            frame = await pingIframe();
+            if (bookmarks && frame.hasImage) await resolveAllTocEntries();
+
+            // Visit the end page first so a missing label fails before anything is captured
+            if (rangeEnd) {
+                const returnTo = rangeStart || getCurrentPageLabel();
+                updateStatus(`Looking for page ${rangeEnd}...`);
+                if (!(await goToPage(rangeEnd))) throw new Error(`Page "${rangeEnd}" was not found in this book.`);
+                if (!(await goToPage(returnTo))) throw new Error(`Could not return to page "${returnTo}".`);
+            }
+            if (rangeStart) {
+                updateStatus(`Going to page ${rangeStart}...`);
+                if (!(await goToPage(rangeStart))) throw new Error(`Page "${rangeStart}" was not found in this book.`);
+            }
+        } catch (e) {
+            updateStatus(`Error: ${e.message}`, 'error');
+            state.isRunning = false;
+            updateModalUI();
+            return;
+        }
+
+        updateStatus('Starting capture...');
+
+        const template = getFilenameTemplate();
+        if (!frame.hasImage) {
+            // Reflowable books are captured as text into one PDF (see captureTextStep)
+            startJournal(
+                { mode: 'pages', text: true, pageLimit: requestedLimit, rangeStart, rangeEnd, filenameTemplate: template, bookmarks: false, chunkSize: null, ocr: false, annotations: false, review: false, pageSetup, image: getImageSettings(), format: 'pdf' },
+                [{ ...createRun({ template, startLabel: getCurrentPageLabel(), pageLimit, expectedPages, endLabel: rangeEnd || null }), sections: [] }]
+            );
+            await startJob();
+            return;
+        }
+
+        startJournal(
+            { mode: 'pages', pageLimit: requestedLimit, rangeStart, rangeEnd, filenameTemplate: template, bookmarks, chunkSize: getChunkSize(), ocr: isOcrEnabled(), annotations: isAnnotationsEnabled(), review: isReviewEnabled(), pageSetup, image: getImageSettings(), format: getOutputFormat() },
+            [createRun({ template, startLabel: getCurrentPageLabel(), pageLimit, expectedPages, endLabel: rangeEnd || null })]
+        );
+        await startJob();
+    }
+
+    // captureStep for reflowable books (journal settings.text): each chapter
+    // document is stored as text the first time the run passes through it,
+    // and its URL is added to run.sections. Every page visited counts towards
+    // the limit and the end label, like a captured page.
+    async function captureTextStep({ runIndex, turnPending, errors, maxErrors, retry }) {
+        const run = state.journal.runs[runIndex];
+        const { expectedPages, endLabel } = run;
+        const pageLimit = run.pageLimit ?? Infinity;
+        let captured = 0;
+        let checked = false;
+
+        const reply = (result, fields) => ({
+            result, previous: null, turnPending, checked, captured, current: state.pageCount, total: getJobTotal(), ...fields,
+        });
+
+        if (!state.isRunning) return reply('stopped');
+        if (run.capturedLabels.length >= pageLimit) return reply('finished');
+        if (retry) updateStatus(`Retrying after error: ${retry} (attempt ${errors}/${maxErrors})`, 'info');
+
+        try {
+            if (errors > 0) state.readyFrames.clear();
+
+            if (turnPending) {
+                if ((await goToNextPage()) === 'last-page') return reply('finished');
+                turnPending = false;
+            }
+
+            const { image: imageSettings, pageSetup } = state.journal.settings;
+            const content = await captureCurrentPage(getImageEncoding(imageSettings, pageSetup), 'VS_CAPTURE_TEXT');
+            checked = true;
+
+            if (!run.sections.includes(content.url)) {
+                await storePage({
+                    sessionId: state.journal.id, run: runIndex, index: run.sections.length,
+                    label: content.pageLabel, url: content.url, title: content.title, blocks: content.blocks,
+                });
+                run.sections.push(content.url);
+            }
+            run.capturedLabels.push(content.pageLabel);
+            captured++;
+            saveJournal();
+
+            const visited = run.capturedLabels.length;
+            const label = content.pageLabel || `#${visited}`;
+            state.pageCount++;
+            if (!state.firstPageLabel) state.firstPageLabel = label;
+            state.lastPageLabel = label;
+
+            updateModalUI();
+            updateStatus(`Captured page ${label} (${run.sections.length} sections, ${visited}/${expectedPages || '?'})`);
+            updateProgress(visited, expectedPages);
+
+            if (endLabel && normalizeLabel(content.pageLabel) === normalizeLabel(endLabel)) return reply('finished');
+            if (visited >= pageLimit) return reply('finished');
+
+            turnPending = true;
+            if ((await goToNextPage()) === 'last-page') return reply('finished');
+            turnPending = false;
+            return reply('captured');
+        } catch (e) {
+            console.warn(`[VS-PDF] Error on page ${run.capturedLabels.length + 1}:`, e.message);
+            // The page is captured again, or the turn that failed tried again
+            return reply('error', { message: e.message });
+        }
+    }
+
+    // Writes a reflowable run out as one PDF: its stored chapters are laid out
+    // with ReflowLayout, so the PDF is paginated independently of the reader
+    // and carries no page labels. Chapters become bookmarks.
+    async function writeTextRunFile(run) {
+        const { pageSetup = DEFAULT_PAGE_SETUP } = state.journal.settings;
+        const runIndex = state.journal.runs.indexOf(run);
+        const labels = run.capturedLabels.filter(Boolean);
+        const firstLabel = labels[0] || '1';
+        const lastLabel = labels[labels.length - 1] || firstLabel;
+
+        try {
+            const pdf = createTextDocument(pageSetup);
+            const layout = new ReflowLayout(pdf, pageSetup.margin > 0 ? { margin: pageSetup.margin * 72 } : {});
+            for (let index = 0; index < run.sections.length; index++) {
+                const chapter = await loadPage(state.journal.id, runIndex, index);
+                if (!chapter) throw new Error(`section ${index + 1} is missing from the page store`);
+                const pageNumber = layout.addChapter(chapter);
+                if (chapter.title) pdf.outline.add(null, chapter.title, { pageNumber });
+                updateStatus(`Laying out the text: section ${index + 1}/${run.sections.length}`);
+            }
+
+            // jsPDF writes the Info dictionary only
+            const metadata = getDocumentMetadata(labels.length > 0 ? [firstLabel, lastLabel] : []);
+            pdf.setDocumentProperties({
+                title: metadata.title || '',
+                author: metadata.authors.join('; '),
+                subject: metadata.firstPage ? `Pages ${metadata.firstPage}–${metadata.lastPage}` : '',
+                keywords: [metadata.publisher, metadata.edition, metadata.isbn && `ISBN ${metadata.isbn}`].filter(Boolean).join(', '),
+                creator: 'VitalSource PDF Downloader',
+            });
+
+            const file = `${getRunFilename(run, { first: firstLabel, last: lastLabel, part: null })}.pdf`;
+            await downloadBlob(pdf.output('blob'), file);
+
+            run.chunks.push({ part: 1, file, from: 0, to: run.capturedLabels.length, firstLabel, lastLabel });
+            saveJournal();
+            updateStatus(`Saved ${file}: ${run.sections.length} sections as text, ${layout.pageNumber} PDF pages.`, 'success');
+            return true;
+        } catch (e) {
+            console.error('[VS-PDF] Layout failed:', e);
+            updateStatus(`Could not write the PDF: ${e.message}. Captured text is kept; try "Download PDF" again.`, 'error');
+            return false;
+        }
+    }
+
+    // Pages a chapter may run past its expected length before it is cut off
+    function getChapterMargin(expectedPages) {
+        return Math.max(2, Math.ceil(expectedPages * 0.05));
+    }
+
+    // Captures each checked chapter into its own PDF named after the chapter.
+    // A chapter runs up to the next TOC entry at the same or a higher level.
+    async function startChapterCapture() {
+        const selected = state.toc.filter((entry) => entry.checked);
+        if (selected.length === 0) {
+            updateStatus('Select at least one chapter to capture.', 'error');
+            return;
+        }
+
+        state.isRunning = true;
+        updateModalUI();
+        updateStatus('Checking connection...');
+
+        const bookmarks = document.getElementById('vs-bookmarks').checked;
+        const pageSetup = getPageSetup();
+        const template = getFilenameTemplate();
+        const runs = [];
+        try {
+            validatePageSetup(pageSetup);
+            if (!(await pingIframe()).hasImage) {
+                throw new Error('Chapter capture needs page images; for reflowable books capture a page range instead.');
+            }
+            if (bookmarks) await resolveAllTocEntries();
+
+            // Resolve every start and boundary label up front so a broken TOC
+            // entry fails before anything is captured
+            for (const entry of selected) {
+                const boundary = state.toc.slice(entry.index + 1).find((next) => next.level <= entry.level);
+                updateStatus(`Locating "${entry.title}"...`);
+                const startLabel = await resolveTocEntry(entry);
+                const stopBeforeLabel = boundary ? await resolveTocEntry(boundary) : null;
+
+                // The boundary page itself isn't captured, hence the - 1. The
+                // run is also capped a little past that, in case the reader
+                // never shows the boundary's label (it can be hidden inside a
+                // spread, or missing).
+                const span = stopBeforeLabel ? estimateRangeLength(startLabel, stopBeforeLabel) : null;
+                const expectedPages = span > 1 ? span - 1 : null;
+                runs.push(createRun({
+                    title: entry.title,
+                    template,
+                    startLabel,
+                    pageLimit: expectedPages ? expectedPages + getChapterMargin(expectedPages) : null,
+                    expectedPages,
+                    stopBeforeLabel,
+                }));
+            }
+        } catch (e) {
+            updateStatus(`Error: ${e.message}`, 'error');
+            state.isRunning = false;
+            updateModalUI();
+            return;
+        }
 
-    async function generatePDF() {
-        // With chunked saving, all chunks are already saved automatically.
-        // If we reach here, just inform the user.
-        updateStatus(`All captured pages were already saved automatically.`, 'success');
+        startJournal(
+            { mode: 'chapters', chapters: selected.map((entry) => entry.title), filenameTemplate: template, bookmarks, chunkSize: getChunkSize(), ocr: isOcrEnabled(), annotations: isAnnotationsEnabled(), review: isReviewEnabled(), pageSetup, image: getImageSettings(), format: getOutputFormat() },
+            runs
+        );
+        await startJob();
     }
 
-    // Capture workflow
-    async function startCapture() {
-        if (state.isRunning) return;
+    // Continues the journaled session with the same filenames and part numbering
+    async function resumeCapture() {
+        if (state.isRunning || !state.journal) return;
         state.isRunning = true;
         updateModalUI();
-
-        const pageLimit = parseInt(document.getElementById('vs-page-limit').value, 10) || 10;
-        const CHUNK_SIZE = 50; // PDF chunk size to avoid Oh Snaps
-
         updateStatus('Checking connection...');
 
         try {
             await pingIframe();
+            if (state.journal.settings.bookmarks) await resolveAllTocEntries();
         } catch (e) {
             updateStatus(`Error: ${e.message}`, 'error');
             state.isRunning = false;
@@ -242,133 +2371,108 @@
             return;
         }
 
-        updateStatus('Starting capture...');
+        state.journal.status = 'running';
+        saveJournal();
+        await startJob();
+    }
 
-        let totalCaptured = 0;
-        let chunkNumber = 0;
-        let consecutiveErrors = 0;
-
-        while (state.isRunning && totalCaptured < pageLimit) {
-            // Start a fresh PDF for this chunk
-            const { jsPDF } = window.jspdf;
-            const pdf = new jsPDF({ orientation: 'portrait', unit: 'pt', format: 'letter' });
-            let chunkPageCount = 0;
-            let chunkFirstLabel = null;
-            let chunkLastLabel = null;
-
-            const pagesThisChunk = Math.min(CHUNK_SIZE, pageLimit - totalCaptured);
-
-            while (state.isRunning && chunkPageCount < pagesThisChunk) {
-                try {
-                    await sleep(500);
-
-                    if (consecutiveErrors > 0) {
-                        state.readyFrames = [];
-                        await pingIframe();
-                    }
-
-                    const pageData = await captureCurrentPage();
-                    consecutiveErrors = 0;
-
-                    if (chunkPageCount > 0) pdf.addPage('letter', 'portrait');
-                    const dims = calculateImageDimensions(pageData.width, pageData.height);
-                    pdf.addImage(pageData.data, 'JPEG', dims.offsetX, dims.offsetY, dims.drawWidth, dims.drawHeight);
-
-                    chunkPageCount++;
-                    totalCaptured++;
-
-                    const label = pageData.pageLabel || `#${totalCaptured}`;
-                    if (!chunkFirstLabel) chunkFirstLabel = label;
-                    chunkLastLabel = label;
-
-                    // Track overall state for the UI
-                    state.pageCount = totalCaptured;
-                    if (!state.firstPageLabel) state.firstPageLabel = label;
-                    state.lastPageLabel = label;
-
-                    updateModalUI();
-                    updateStatus(`Captured page ${label} (${totalCaptured}/${pageLimit})`);
-                    updateProgress(totalCaptured, pageLimit);
-
-                    if (totalCaptured >= pageLimit) break;
-
-                    const navResult = await goToNextPage();
-                    if (navResult === 'last-page') {
-                        updateStatus(`Reached last page. ${totalCaptured} pages captured total.`, 'success');
-                        // Save this final chunk below, then exit
-                        state.isRunning = false;
-                        break;
-                    }
-                } catch (e) {
-                    consecutiveErrors++;
-                    console.warn(`[VS-PDF] Error on page ${totalCaptured + 1}:`, e.message);
-
-                    if (consecutiveErrors >= 3) {
-                        updateStatus(`Stopped after ${consecutiveErrors} consecutive errors: ${e.message}. ${totalCaptured} pages captured.`, 'error');
-                        state.isRunning = false;
-                        break;
-                    }
-
-                    updateStatus(`Retrying after error: ${e.message} (attempt ${consecutiveErrors}/3)`, 'info');
-
-                    try {
-                        const navResult = await goToNextPage();
-                        if (navResult === 'last-page') {
-                            state.isRunning = false;
-                            break;
-                        }
-                    } catch {
-                        // Will retry on next loop iteration
-                    }
-                }
-            }
-
-            // Save this chunk if it has any pages
-            if (chunkPageCount > 0) {
-                chunkNumber++;
-                let filename = document.getElementById('vs-filename').value.trim();
-                if (!filename) filename = sanitizeFilename(getBookTitle() || 'vitalsource-book');
-
-                const firstLabel = chunkFirstLabel || '1';
-                const lastLabel = chunkLastLabel || String(chunkPageCount);
-
-                if (pageLimit <= CHUNK_SIZE && chunkNumber === 1) {
-                    // Small enough for one file — no chunk numbering needed
-                    pdf.save(`${filename}_p${firstLabel}-${lastLabel}.pdf`);
-                } else {
-                    pdf.save(`${filename}_part${chunkNumber}_p${firstLabel}-${lastLabel}.pdf`);
-                }
+    // Size estimate
+    function formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
 
-                updateStatus(
-                    `Saved part ${chunkNumber} (pages ${firstLabel}–${lastLabel}). ` +
-                    `${totalCaptured} pages captured total.`,
-                    totalCaptured >= pageLimit || !state.isRunning ? 'success' : 'info'
-                );
-            }
-        }
+    // PNG pages are re-compressed when the PDF is assembled, so for them this
+    // is only a rough guide
+    function showSizeEstimate(bytesPerPage, pages, basis) {
+        const total = pages ? `, about ${formatBytes(bytesPerPage * pages)} for ${pages} pages` : '';
+        document.getElementById('vs-size-estimate').textContent = `≈ ${formatBytes(bytesPerPage)} per page${total} (from the ${basis})`;
+    }
 
-        if (totalCaptured > 0 && chunkNumber > 1) {
-            updateStatus(`Done! ${totalCaptured} pages saved across ${chunkNumber} files.`, 'success');
-        }
+    // Encodes the current page with the chosen settings, without capturing
+    // it, so settings can be compared before a long run
+    async function estimateSize() {
+        if (state.isRunning) return;
+        const output = document.getElementById('vs-size-estimate');
+        output.textContent = 'Estimating…';
 
-        state.isRunning = false;
-        updateModalUI();
+        try {
+            const frame = await pingIframe();
+            if (!frame.hasImage) throw new Error('reflowable books are captured as text');
+
+            const pageData = await captureCurrentPage(getImageEncoding(getImageSettings(), getPageSetup()));
+            const rangeStart = document.getElementById('vs-range-start').value.trim();
+            const rangeEnd = document.getElementById('vs-range-end').value.trim();
+            const pages = state.mode === 'chapters' ? null
+                : rangeEnd ? estimateRangeLength(rangeStart || getCurrentPageLabel(), rangeEnd)
+                : parseInt(document.getElementById('vs-page-limit').value, 10) || 10;
+
+            showSizeEstimate(dataUrlToBlob(pageData.data).size, pages > 0 ? pages : null, 'current page');
+        } catch (e) {
+            output.textContent = `Could not estimate: ${e.message}`;
+        }
     }
 
     // UI helpers
+    const ANNOUNCE_INTERVAL = 10000; // Least time between routine progress announcements, in ms
+
     function updateStatus(message, type = 'info') {
         const statusEl = document.getElementById('vs-status');
         const statusText = document.getElementById('vs-status-text');
         if (statusEl && statusText) {
-            statusText.innerHTML = message;
+            statusText.textContent = message;
             statusEl.className = 'status visible ' + type;
         }
+        state.status = { text: message, type };
+        announce(message, type);
         console.log('[VS-PDF]', message);
     }
 
+    // Reads the status out to screen readers through live regions that exist
+    // whether or not the dialog is open (single-page downloads run without it).
+    // Routine progress is throttled so a long capture doesn't talk over
+    // everything else; errors and results are always announced.
+    function announce(message, type) {
+        const now = Date.now();
+        if (type === 'info' && now - state.lastAnnouncement < ANNOUNCE_INTERVAL) return;
+        state.lastAnnouncement = now;
+        getLiveRegion(type === 'error' ? 'assertive' : 'polite').textContent = message;
+    }
+
+    function getLiveRegion(politeness) {
+        const id = `vs-live-${politeness}`;
+        let region = document.getElementById(id);
+        if (!region) {
+            region = document.createElement('div');
+            region.id = id;
+            region.setAttribute('aria-live', politeness);
+            region.setAttribute('aria-atomic', 'true');
+            if (politeness === 'assertive') region.setAttribute('role', 'alert');
+            region.style.cssText = 'position: fixed; width: 1px; height: 1px; overflow: hidden; clip-path: inset(50%); white-space: nowrap;';
+            document.body.appendChild(region);
+        }
+        return region;
+    }
+
     function updateProgress(current, total) {
         const bar = document.getElementById('vs-progress');
-        if (bar && total > 0) bar.style.width = `${(current / total) * 100}%`;
+        if (!bar || !(total > 0)) return;
+        const percent = Math.round(Math.min(current / total, 1) * 100);
+        bar.style.width = `${percent}%`;
+        bar.parentElement.setAttribute('aria-valuenow', percent);
+    }
+
+    // Unsaved pages go through the review grid first; text captured from a
+    // reflowable book has no pages to show there
+    function canReview() {
+        return getPendingRuns().length > 0 && !state.journal.settings.text;
+    }
+
+    // A capture is under way until the service worker has closed its job,
+    // which can be a moment after Stop
+    function isCaptureOpen() {
+        return state.isRunning || state.journal?.status === 'running';
     }
 
     function updateModalUI() {
@@ -377,12 +2481,91 @@
         document.getElementById('vs-page-count').textContent = state.pageCount;
 
         if (state.pageCount > 0) {
-            clearBtn.style.display = 'block';
-            actionBtn.textContent = state.isRunning ? 'Stop' : 'Download PDF';
+            // Clearing would throw away the journal the running job works from
+            clearBtn.style.display = isCaptureOpen() ? 'none' : 'block';
+            const format = OUTPUT_FORMATS[state.journal?.settings.format] || OUTPUT_FORMATS.pdf;
+            const label = canReview() ? 'Review & save' : `Download ${format.label}`;
+            actionBtn.textContent = state.isRunning ? 'Stop' : label;
         } else {
             clearBtn.style.display = 'none';
             actionBtn.textContent = state.isRunning ? 'Stop' : 'Start Capture';
         }
+
+        updateResumeUI();
+    }
+
+    function updateResumeUI() {
+        const resume = document.getElementById('vs-resume');
+        const journal = state.journal;
+        const pending = journal?.status !== 'complete' && journal?.runs.find((run) => !run.complete);
+        if (!pending || state.isRunning) {
+            resume.style.display = 'none';
+            return;
+        }
+
+        const from = getResumeLabel(pending);
+        const captured = journal.runs.reduce((sum, run) => sum + run.capturedLabels.length, 0);
+        document.getElementById('vs-resume-text').textContent =
+            `A capture started ${new Date(journal.startedAt).toLocaleString()} was interrupted ` +
+            `with ${captured} pages captured.`;
+        document.getElementById('vs-resume-btn').textContent = pending.capturedLabels.length > 0
+            ? `Resume after page ${from}`
+            : `Resume from page ${from}`;
+        resume.style.display = '';
+    }
+
+    // UI: Dialogs — the choice dialog, the modal and the review grid are modal
+    // dialogs: Tab stays inside, Escape closes them and focus goes back to
+    // where it was when they opened
+    const FOCUSABLE = 'button, [href], input, select, textarea, summary, [tabindex]:not([tabindex="-1"])';
+    const dialogReturnFocus = new WeakMap();
+
+    function getFocusable(container) {
+        return [...container.querySelectorAll(FOCUSABLE)].filter((el) => !el.disabled && (el.checkVisibility?.() ?? true));
+    }
+
+    // overlay is the backdrop, content the dialog box inside it
+    function initDialog(overlay, content, titleId, onEscape) {
+        content.setAttribute('role', 'dialog');
+        content.setAttribute('aria-modal', 'true');
+        content.setAttribute('aria-labelledby', titleId);
+        content.tabIndex = -1;
+
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                onEscape();
+                return;
+            }
+            if (e.key !== 'Tab') return;
+
+            const focusable = getFocusable(content);
+            if (focusable.length === 0) return;
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && (document.activeElement === first || document.activeElement === content)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        });
+    }
+
+    function openDialog(overlay) {
+        if (!overlay.classList.contains('visible')) dialogReturnFocus.set(overlay, document.activeElement);
+        overlay.classList.add('visible');
+        const content = overlay.querySelector('[role="dialog"]');
+        if (!content.contains(document.activeElement)) (getFocusable(content)[0] || content).focus();
+    }
+
+    function closeDialog(overlay) {
+        if (!overlay?.classList.contains('visible')) return;
+        overlay.classList.remove('visible');
+        dialogReturnFocus.get(overlay)?.focus?.();
+        dialogReturnFocus.delete(overlay);
     }
 
     // UI: Choice Dialog
@@ -418,17 +2601,20 @@
                 #vs-choice-dialog .page-info { color: #666; font-size: 13px; margin-bottom: 8px; }
             </style>
             <div class="dialog-content">
-                <h2>Download PDF</h2>
+                <h2 id="vs-choice-title">Download PDF</h2>
                 <div class="page-info">Current page: <strong id="vs-current-page">--</strong></div>
                 <div class="buttons">
                     <button class="btn-primary" id="vs-download-this-page">Download This Page</button>
                     <button class="btn-secondary" id="vs-download-multiple">Download Multiple Pages</button>
+                    <button class="btn-secondary" id="vs-clip-region">Clip a Figure or Table</button>
+                    <button class="btn-secondary" id="vs-save-clips"></button>
                     <button class="btn-cancel" id="vs-choice-cancel">Cancel</button>
                 </div>
             </div>
         `;
 
         document.body.appendChild(dialog);
+        initDialog(dialog, dialog.querySelector('.dialog-content'), 'vs-choice-title', hideChoiceDialog);
 
         dialog.addEventListener('click', (e) => { if (e.target === dialog) hideChoiceDialog(); });
         dialog.querySelector('.dialog-content').addEventListener('click', (e) => e.stopPropagation());
@@ -441,16 +2627,435 @@
             hideChoiceDialog();
             showModal();
         });
+        document.getElementById('vs-clip-region').addEventListener('click', () => {
+            hideChoiceDialog();
+            clipRegion();
+        });
+        document.getElementById('vs-save-clips').addEventListener('click', () => {
+            hideChoiceDialog();
+            saveClipsPdf();
+        });
     }
 
     function showChoiceDialog() {
         createChoiceDialog();
         document.getElementById('vs-current-page').textContent = getCurrentPageLabel() || '--';
-        document.getElementById('vs-choice-dialog').classList.add('visible');
+        const saveClips = document.getElementById('vs-save-clips');
+        saveClips.textContent = `Save Clips PDF (${state.clips.length})`;
+        saveClips.style.display = state.clips.length > 0 ? '' : 'none';
+        openDialog(document.getElementById('vs-choice-dialog'));
     }
 
     function hideChoiceDialog() {
-        document.getElementById('vs-choice-dialog')?.classList.remove('visible');
+        closeDialog(document.getElementById('vs-choice-dialog'));
+    }
+
+    // UI: Clipping — a bar explains the selection while it is on screen, then
+    // the clip dialog shows the clip and what to do with it
+    function onClipKey(e) {
+        if (e.key !== 'Escape') return;
+        e.preventDefault();
+        cancelClip();
+    }
+
+    function showClipBanner() {
+        let banner = document.getElementById('vs-clip-banner');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'vs-clip-banner';
+            banner.setAttribute('role', 'status');
+            banner.style.cssText = `position: fixed; top: 12px; left: 50%; transform: translateX(-50%); z-index: 999999;
+                display: flex; align-items: center; gap: 12px; padding: 10px 16px; border-radius: 8px;
+                background: #1a1a1a; color: #fff; box-shadow: 0 8px 24px rgba(0,0,0,0.3);
+                font: 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;`;
+            banner.innerHTML = `
+                <span>Drag across the page to clip a figure or table. Press Escape to cancel.</span>
+                <button type="button" style="padding: 6px 12px; border: none; border-radius: 6px; background: #f0f0f0; color: #333; font-weight: 600; cursor: pointer;">Cancel</button>
+            `;
+            banner.querySelector('button').addEventListener('click', cancelClip);
+            document.body.appendChild(banner);
+        }
+        banner.style.display = 'flex';
+        document.addEventListener('keydown', onClipKey, true);
+    }
+
+    function hideClipBanner() {
+        const banner = document.getElementById('vs-clip-banner');
+        if (banner) banner.style.display = 'none';
+        document.removeEventListener('keydown', onClipKey, true);
+    }
+
+    let shownClip = null; // { clip, url } for the clip in the clip dialog
+
+    function createClipDialog() {
+        if (document.getElementById('vs-clip-dialog')) return;
+
+        const dialog = document.createElement('div');
+        dialog.id = 'vs-clip-dialog';
+        dialog.innerHTML = `
+            <style>
+                #vs-clip-dialog {
+                    display: none; position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+                    background: rgba(0,0,0,0.6); z-index: 999999; align-items: center; justify-content: center;
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                }
+                #vs-clip-dialog.visible { display: flex; }
+                #vs-clip-dialog .dialog-content {
+                    background: #fff; border-radius: 12px; padding: 24px; width: 480px; max-width: 90vw;
+                    box-shadow: 0 20px 60px rgba(0,0,0,0.3); text-align: center;
+                }
+                #vs-clip-dialog h2 { margin: 0 0 16px; font-size: 18px; font-weight: 600; color: #1a1a1a; }
+                #vs-clip-dialog img {
+                    display: block; margin: 0 auto; max-width: 100%; max-height: 50vh;
+                    border: 1px solid #ddd; background: #fff;
+                }
+                #vs-clip-dialog .caption { color: #666; font-size: 13px; margin: 8px 0 20px; }
+                #vs-clip-dialog .buttons { display: flex; flex-direction: column; gap: 12px; }
+                #vs-clip-dialog button {
+                    padding: 14px 20px; border: none; border-radius: 8px;
+                    font-size: 14px; font-weight: 600; cursor: pointer; transition: all 0.2s;
+                }
+                #vs-clip-dialog .btn-primary { background: #4a90d9; color: white; }
+                #vs-clip-dialog .btn-primary:hover { background: #3a7bc8; }
+                #vs-clip-dialog .btn-secondary { background: #f0f0f0; color: #333; }
+                #vs-clip-dialog .btn-secondary:hover { background: #e0e0e0; }
+                #vs-clip-dialog .btn-cancel { background: transparent; color: #888; font-weight: 400; }
+                #vs-clip-dialog .btn-cancel:hover { color: #333; }
+            </style>
+            <div class="dialog-content">
+                <h2 id="vs-clip-title">Clip</h2>
+                <img id="vs-clip-preview" alt="">
+                <div class="caption" id="vs-clip-caption"></div>
+                <div class="buttons">
+                    <button class="btn-primary" id="vs-clip-png">Save as PNG</button>
+                    <button class="btn-secondary" id="vs-clip-copy">Copy to Clipboard</button>
+                    <button class="btn-secondary" id="vs-clip-collect">Add to Clips PDF</button>
+                    <button class="btn-cancel" id="vs-clip-discard">Discard</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+        initDialog(dialog, dialog.querySelector('.dialog-content'), 'vs-clip-title', hideClipDialog);
+
+        dialog.addEventListener('click', (e) => { if (e.target === dialog) hideClipDialog(); });
+        dialog.querySelector('.dialog-content').addEventListener('click', (e) => e.stopPropagation());
+        document.getElementById('vs-clip-discard').addEventListener('click', hideClipDialog);
+
+        // The clipboard needs this page focused, so copying happens before the dialog closes
+        const onAction = (id, action) => document.getElementById(id).addEventListener('click', async () => {
+            if (!shownClip) return;
+            try {
+                await action(shownClip.clip);
+            } catch (e) {
+                console.error('[VS-PDF] Clip failed:', e);
+                alert('Clip failed: ' + e.message);
+            }
+            hideClipDialog();
+        });
+        onAction('vs-clip-png', saveClipImage);
+        onAction('vs-clip-copy', copyClip);
+        onAction('vs-clip-collect', collectClip);
+    }
+
+    function showClipDialog(clip) {
+        createClipDialog();
+        if (shownClip) URL.revokeObjectURL(shownClip.url);
+        shownClip = { clip, url: URL.createObjectURL(clip.blob) };
+
+        const preview = document.getElementById('vs-clip-preview');
+        preview.src = shownClip.url;
+        preview.alt = `Clip from page ${clip.pageLabel || '?'}`;
+        document.getElementById('vs-clip-title').textContent = clip.pageLabel ? `Clip from page ${clip.pageLabel}` : 'Clip';
+        document.getElementById('vs-clip-caption').textContent = `${clip.caption || 'No caption'} · ${clip.width} × ${clip.height} px`;
+        document.getElementById('vs-clip-collect').textContent = state.clips.length > 0
+            ? `Add to Clips PDF (${state.clips.length} so far)`
+            : 'Add to Clips PDF';
+        openDialog(document.getElementById('vs-clip-dialog'));
+    }
+
+    function hideClipDialog() {
+        closeDialog(document.getElementById('vs-clip-dialog'));
+        if (shownClip) URL.revokeObjectURL(shownClip.url);
+        shownClip = null;
+    }
+
+    // UI: Review grid — every page that hasn't been written yet, per run.
+    // Deleting and reordering only change state.review until the user saves;
+    // a recapture replaces the stored page right away.
+    function createReview() {
+        const review = document.createElement('div');
+        review.id = 'vs-review-grid';
+        review.innerHTML = `
+            <style>
+                #vs-review-grid {
+                    display: none; position: fixed; inset: 0; background: rgba(0,0,0,0.6); z-index: 1000000;
+                    align-items: center; justify-content: center;
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                }
+                #vs-review-grid.visible { display: flex; }
+                #vs-review-grid .review-content {
+                    display: flex; flex-direction: column; background: #fff; border-radius: 12px; padding: 24px;
+                    width: 900px; max-width: 94vw; height: 85vh; box-shadow: 0 20px 60px rgba(0,0,0,0.3); box-sizing: border-box;
+                }
+                #vs-review-grid h2 { margin: 0 0 4px; font-size: 20px; font-weight: 600; color: #1a1a1a; }
+                #vs-review-grid .hint { margin: 0 0 16px; font-size: 13px; color: #666; }
+                #vs-review-grid .runs { flex: 1; overflow-y: auto; }
+                #vs-review-grid h3 { margin: 16px 0 8px; font-size: 14px; font-weight: 600; color: #333; }
+                #vs-review-grid .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 12px; }
+                #vs-review-grid .tile {
+                    border: 2px solid #e0e0e0; border-radius: 8px; padding: 6px; background: #fafafa;
+                    font-size: 12px; color: #333; cursor: grab; text-align: center;
+                }
+                #vs-review-grid .tile.drop-target, #vs-review-grid .tile:focus-visible { border-color: #4a90d9; outline: none; }
+                #vs-review-grid .tile.busy { opacity: 0.5; }
+                #vs-review-grid .tile img { display: block; width: 100%; height: 150px; object-fit: contain; background: #fff; }
+                #vs-review-grid .tile .label { margin: 4px 0; font-weight: 600; }
+                #vs-review-grid .tile-buttons { display: flex; gap: 4px; justify-content: center; }
+                #vs-review-grid .tile-buttons button {
+                    padding: 2px 6px; border: none; border-radius: 4px; background: #f0f0f0; color: #333;
+                    font-size: 11px; cursor: pointer;
+                }
+                #vs-review-grid .tile-buttons button:hover { background: #e0e0e0; }
+                #vs-review-grid .tile-buttons button:disabled { opacity: 0.5; cursor: not-allowed; }
+                #vs-review-grid .footer { display: flex; align-items: center; gap: 12px; margin-top: 16px; }
+                #vs-review-grid .footer .status { flex: 1; font-size: 13px; color: #555; }
+                #vs-review-grid .footer button {
+                    padding: 12px 20px; border: none; border-radius: 8px; font-size: 14px; font-weight: 600; cursor: pointer;
+                }
+                #vs-review-grid .btn-primary { background: #4a90d9; color: white; }
+                #vs-review-grid .btn-primary:hover { background: #3a7bc8; }
+                #vs-review-grid .btn-primary:disabled { background: #a0c4e8; cursor: not-allowed; }
+                #vs-review-grid .btn-secondary { background: #f0f0f0; color: #333; }
+                #vs-review-grid .btn-secondary:hover { background: #e0e0e0; }
+            </style>
+            <div class="review-content">
+                <h2 id="vs-review-title">Review pages</h2>
+                <p class="hint">Drag pages to reorder them, or select one and press Alt+Left or Alt+Right to move it. Nothing is saved until you click Save.</p>
+                <div class="runs" id="vs-review-runs"></div>
+                <div class="footer">
+                    <span class="status" id="vs-review-status" role="status"></span>
+                    <button class="btn-secondary" id="vs-review-cancel">Cancel</button>
+                    <button class="btn-primary" id="vs-review-save">Save</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(review);
+        initDialog(review, review.querySelector('.review-content'), 'vs-review-title', hideReview);
+        document.getElementById('vs-review-cancel').addEventListener('click', hideReview);
+        document.getElementById('vs-review-save').addEventListener('click', saveReview);
+    }
+
+    async function showReview() {
+        if (!document.getElementById('vs-review-grid')) createReview();
+        const { journal } = state;
+
+        // state.review.runs: [{ run, runIndex, from, items: [{ index, label, view, url }] }]
+        state.review = { runs: [], busy: false };
+        for (const run of getPendingRuns()) {
+            const runIndex = journal.runs.indexOf(run);
+            const from = getWrittenCount(run);
+            const items = [];
+            for (let index = from; index < run.capturedLabels.length; index++) {
+                const page = await loadPage(journal.id, runIndex, index);
+                if (page) items.push({ index, label: page.label, view: page.view, url: URL.createObjectURL(page.data) });
+            }
+            state.review.runs.push({ run, runIndex, from, items });
+        }
+
+        renderReview();
+        openDialog(document.getElementById('vs-review-grid'));
+    }
+
+    function hideReview() {
+        if (state.review?.busy) return;
+        state.review?.runs.forEach(({ items }) => items.forEach((item) => URL.revokeObjectURL(item.url)));
+        state.review = null;
+        closeDialog(document.getElementById('vs-review-grid'));
+    }
+
+    function setReviewStatus(message) {
+        document.getElementById('vs-review-status').textContent = message;
+    }
+
+    function renderReview() {
+        const container = document.getElementById('vs-review-runs');
+        container.innerHTML = '';
+        const total = state.review.runs.reduce((sum, { items }) => sum + items.length, 0);
+        document.getElementById('vs-review-save').textContent = `Save ${total} pages`;
+        document.getElementById('vs-review-save').disabled = state.review.busy;
+
+        state.review.runs.forEach((entry) => {
+            if (state.review.runs.length > 1 || entry.run.title) {
+                const heading = document.createElement('h3');
+                const first = entry.items[0]?.label || entry.run.startLabel;
+                heading.textContent = entry.run.title || getRunFilename(entry.run, { first, last: entry.items[entry.items.length - 1]?.label || first, part: null });
+                container.appendChild(heading);
+            }
+
+            const grid = document.createElement('div');
+            grid.className = 'grid';
+            entry.items.forEach((item, position) => grid.appendChild(createReviewTile(entry, item, position)));
+            container.appendChild(grid);
+        });
+    }
+
+    function createReviewTile(entry, item, position) {
+        const tile = document.createElement('div');
+        tile.className = 'tile';
+        tile.draggable = !state.review.busy;
+        tile.tabIndex = 0;
+        tile.dataset.key = `${entry.runIndex}:${item.index}`;
+        tile.setAttribute('role', 'group');
+        tile.setAttribute('aria-label', `Page ${item.label || position + 1}, ${position + 1} of ${entry.items.length}`);
+
+        const img = document.createElement('img');
+        img.src = item.url;
+        img.loading = 'lazy';
+        img.alt = `Page ${item.label || position + 1}`;
+        const label = document.createElement('div');
+        label.className = 'label';
+        label.textContent = item.label || `#${position + 1}`;
+
+        const buttons = document.createElement('div');
+        buttons.className = 'tile-buttons';
+        const recapture = document.createElement('button');
+        recapture.textContent = 'Recapture';
+        recapture.disabled = state.review.busy || !(item.view?.label || item.label);
+        recapture.title = item.view?.label || item.label ? `Go to page ${item.label || item.view.label} and capture it again` : 'This page has no label to go back to';
+        recapture.addEventListener('click', () => recaptureReviewPage(entry, item, tile));
+        const remove = document.createElement('button');
+        remove.textContent = 'Delete';
+        remove.disabled = state.review.busy;
+        remove.addEventListener('click', () => {
+            entry.items.splice(entry.items.indexOf(item), 1);
+            URL.revokeObjectURL(item.url);
+            renderReview();
+            // Keep keyboard focus in the grid: on the page that took this one's place
+            const next = entry.items[Math.min(position, entry.items.length - 1)];
+            focusReviewTile(entry, next) || document.getElementById('vs-review-save').focus();
+        });
+        buttons.append(recapture, remove);
+        tile.append(img, label, buttons);
+
+        // Alt+arrow keys move the page within its run, for keyboard users
+        tile.addEventListener('keydown', (e) => {
+            if (e.target !== tile || !e.altKey || state.review.busy) return;
+            const step = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 }[e.key];
+            const target = position + (step || 0);
+            if (!step || target < 0 || target >= entry.items.length) return;
+            e.preventDefault();
+            entry.items.splice(position, 1);
+            entry.items.splice(target, 0, item);
+            renderReview();
+            focusReviewTile(entry, item);
+            setReviewStatus(`Moved ${item.label ? `page ${item.label}` : 'the page'} to position ${target + 1} of ${entry.items.length}.`);
+        });
+
+        // Drag and drop within a run; the dragged page goes before the drop target
+        tile.addEventListener('dragstart', (e) => {
+            state.review.dragging = { entry, item };
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        tile.addEventListener('dragover', (e) => {
+            if (state.review.dragging?.entry !== entry) return;
+            e.preventDefault();
+            tile.classList.add('drop-target');
+        });
+        tile.addEventListener('dragleave', () => tile.classList.remove('drop-target'));
+        tile.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const { dragging } = state.review;
+            state.review.dragging = null;
+            if (dragging?.entry !== entry || dragging.item === item) return;
+            entry.items.splice(entry.items.indexOf(dragging.item), 1);
+            entry.items.splice(entry.items.indexOf(item), 0, dragging.item);
+            renderReview();
+        });
+
+        return tile;
+    }
+
+    function focusReviewTile(entry, item) {
+        const tile = item && document.querySelector(`#vs-review-runs .tile[data-key="${entry.runIndex}:${item.index}"]`);
+        tile?.focus();
+        return !!tile;
+    }
+
+    // Navigates the reader to the view the page came from, captures it again
+    // with the session's settings and replaces the stored page
+    async function recaptureReviewPage(entry, item, tile) {
+        if (state.review.busy) return;
+        const { journal } = state;
+        const { ocr, image: imageSettings, pageSetup } = journal.settings;
+        // Pages stored before views were recorded only have their own label
+        const target = item.view?.label || item.label;
+
+        state.review.busy = true;
+        renderReview();
+        setReviewStatus(`Going to page ${target}...`);
+        try {
+            await pingIframe();
+            if (!(await goToPage(target))) throw new Error(`page ${target} was not found`);
+
+            setReviewStatus(`Capturing page ${item.label || target}...`);
+            // In a spread, the stored page is the one in the same place, or
+            // else the one carrying its label
+            const encoding = getImageEncoding(imageSettings, pageSetup);
+            const pages = await getCapturedPages(await captureCurrentPage(encoding), encoding, pageSetup.spreads === 'merge');
+            const page = (item.view && pages.find((candidate) => candidate.view.position === item.view.position)) ||
+                pages.find((candidate) => candidate.labels.some((label) => normalizeLabel(label) === normalizeLabel(item.label))) ||
+                pages[0];
+            const words = ocr ? await recognizeForRun(page.blob, item.label) : null;
+            await storePage({ sessionId: journal.id, run: entry.runIndex, index: item.index, ...pageRecord(page, page.blob, words) });
+
+            URL.revokeObjectURL(item.url);
+            item.url = URL.createObjectURL(page.blob);
+            setReviewStatus(`Page ${item.label} recaptured.`);
+        } catch (e) {
+            console.warn('[VS-PDF] Recapture failed:', e);
+            setReviewStatus(`Could not recapture page ${item.label}: ${e.message}`);
+        } finally {
+            state.review.busy = false;
+            renderReview();
+        }
+    }
+
+    // Applies the deletions and new order to the page store and journal,
+    // then builds the files
+    async function saveReview() {
+        if (state.review.busy) return;
+        const { journal } = state;
+        state.review.busy = true;
+        renderReview();
+        setReviewStatus('Saving changes...');
+
+        try {
+            for (const { run, runIndex, from, items } of state.review.runs) {
+                const unchanged = items.length === run.capturedLabels.length - from &&
+                    items.every((item, i) => item.index === from + i);
+                if (unchanged) continue;
+
+                const records = [];
+                for (const item of items) records.push(await loadPage(journal.id, runIndex, item.index));
+                await replaceRunPages(journal.id, runIndex, from, records);
+                run.capturedLabels = [...run.capturedLabels.slice(0, from), ...items.map((item) => item.label)];
+            }
+            saveJournal();
+            state.pageCount = journal.runs.reduce((sum, run) => sum + run.capturedLabels.length, 0);
+        } catch (e) {
+            console.error('[VS-PDF] Could not apply review changes:', e);
+            setReviewStatus(`Could not save changes: ${e.message}`);
+            state.review.busy = false;
+            renderReview();
+            return;
+        }
+
+        state.review.busy = false;
+        hideReview();
+        updateModalUI();
+        await generatePDF();
     }
 
     // UI: Modal
@@ -476,7 +3081,37 @@
                     width: 100%; padding: 10px 12px; border: 1px solid #ddd;
                     border-radius: 8px; font-size: 14px; box-sizing: border-box;
                 }
-                #vs-pdf-modal input:focus { outline: none; border-color: #4a90d9; }
+                #vs-pdf-modal input:focus, #vs-pdf-modal select:focus { outline: none; border-color: #4a90d9; }
+                #vs-pdf-modal select {
+                    width: 100%; padding: 9px 10px; border: 1px solid #ddd; border-radius: 8px;
+                    font-size: 14px; background: #fff; box-sizing: border-box;
+                }
+                #vs-pdf-modal select.format-select { width: auto; flex: none; }
+                #vs-pdf-modal .book-note { margin: 0 0 16px; font-size: 13px; color: #666; }
+                #vs-pdf-modal .filename-preview { margin-top: 6px; font-size: 12px; color: #888; overflow-wrap: anywhere; }
+                #vs-pdf-modal details.page-setup { margin-bottom: 16px; font-size: 13px; color: #555; }
+                #vs-pdf-modal details.page-setup summary { cursor: pointer; font-weight: 500; margin-bottom: 12px; }
+                #vs-pdf-modal .range-inputs + .range-inputs, #vs-pdf-modal select + .range-inputs { margin-top: 8px; }
+                #vs-pdf-modal label.checkbox { display: flex; align-items: center; gap: 8px; margin: 0; cursor: pointer; }
+                #vs-pdf-modal label.checkbox input { width: auto; margin: 0; }
+                #vs-pdf-modal input.inline-number, #vs-pdf-modal label.checkbox input.inline-number { width: 64px; padding: 4px 8px; }
+                #vs-pdf-modal .range-inputs { display: flex; align-items: center; gap: 8px; font-size: 13px; color: #555; }
+                #vs-pdf-modal .chapter-list {
+                    max-height: 240px; overflow-y: auto; border: 1px solid #ddd; border-radius: 8px; padding: 6px 0;
+                    font-size: 13px; color: #333;
+                }
+                #vs-pdf-modal .chapter-list label {
+                    display: flex; align-items: center; gap: 8px; margin: 0; padding: 4px 10px;
+                    font-weight: 400; color: #333; cursor: pointer;
+                }
+                #vs-pdf-modal .chapter-list label:hover { background: #f5f5f5; }
+                #vs-pdf-modal .chapter-list input { width: auto; margin: 0; }
+                #vs-pdf-modal .chapter-list .empty { padding: 8px 10px; color: #888; }
+                #vs-pdf-modal .btn-link {
+                    flex: none; padding: 0; background: none; color: #4a90d9;
+                    font-size: 13px; font-weight: 500;
+                }
+                #vs-pdf-modal .btn-link:hover { text-decoration: underline; }
                 #vs-pdf-modal .buttons { display: flex; gap: 12px; margin-top: 24px; }
                 #vs-pdf-modal button {
                     flex: 1; padding: 12px 20px; border: none; border-radius: 8px;
@@ -500,18 +3135,157 @@
                     border-radius: 6px; margin-bottom: 16px; font-size: 13px; color: #666;
                 }
                 #vs-pdf-modal .page-count strong { color: #4a90d9; font-size: 18px; }
+                #vs-pdf-modal .resume {
+                    padding: 12px; background: #fff8e1; border-radius: 8px; margin-bottom: 16px;
+                    font-size: 13px; color: #6d4c00;
+                }
+                #vs-pdf-modal .resume-buttons { display: flex; align-items: center; gap: 12px; margin-top: 10px; }
+                #vs-pdf-modal .resume-buttons .btn-primary { flex: none; padding: 8px 14px; }
             </style>
             <div class="modal-content">
-                <h2>Download PDF</h2>
+                <h2 id="vs-modal-title">Download PDF</h2>
                 <div class="page-count"><strong id="vs-page-count">0</strong> pages captured</div>
+                <div class="resume" id="vs-resume" style="display:none;">
+                    <span id="vs-resume-text"></span>
+                    <div class="resume-buttons">
+                        <button class="btn-primary" id="vs-resume-btn">Resume</button>
+                        <button class="btn-link" id="vs-resume-discard">Discard</button>
+                    </div>
+                </div>
+                <div id="vs-pages-options">
+                    <div class="form-group">
+                        <label for="vs-page-limit">Number of pages to capture forward</label>
+                        <input type="number" id="vs-page-limit" value="10" min="1" placeholder="Number of pages">
+                    </div>
+                    <div class="form-group">
+                        <label for="vs-range-start">Page range (optional, overrides the count above)</label>
+                        <div class="range-inputs">
+                            <input type="text" id="vs-range-start" placeholder="From, e.g. xii" aria-label="First page of the range">
+                            <span>to</span>
+                            <input type="text" id="vs-range-end" placeholder="To, e.g. 87" aria-label="Last page of the range">
+                        </div>
+                    </div>
+                </div>
+                <div id="vs-chapter-options" class="form-group" style="display:none;">
+                    <label id="vs-chapter-label">Chapters (each is saved as its own file)</label>
+                    <div class="chapter-list" id="vs-chapter-list" role="group" aria-labelledby="vs-chapter-label"></div>
+                </div>
+                <button class="btn-link" id="vs-mode-toggle">Capture chapters…</button>
+                <p class="book-note" id="vs-reflowable-note" style="display:none;">
+                    This book is shown as text, so it is captured as text into one PDF. Options for page images are turned off.
+                </p>
+                <div class="form-group">
+                    <label for="vs-filename">Filename and format</label>
+                    <div class="range-inputs">
+                        <input type="text" id="vs-filename" placeholder="{title}_{chapter}_{part}_p{first}-{last}"
+                            title="Tokens: {title} {author} {isbn} {chapter} {first} {last} {part} {date}"
+                            aria-describedby="vs-filename-preview">
+                        <select id="vs-format" class="format-select" aria-label="Output format">
+                            <option value="pdf">PDF</option>
+                            <option value="zip">ZIP of images</option>
+                            <option value="cbz">CBZ (comic)</option>
+                            <option value="epub">EPUB (fixed layout)</option>
+                        </select>
+                    </div>
+                    <div class="filename-preview" id="vs-filename-preview"></div>
+                </div>
+                <div class="form-group">
+                    <label class="checkbox"><input type="checkbox" id="vs-bookmarks"> Add bookmarks from the table of contents</label>
+                </div>
+                <div class="form-group">
+                    <label class="checkbox"><input type="checkbox" id="vs-review"> Review pages before saving</label>
+                </div>
+                <div class="form-group">
+                    <label class="checkbox"><input type="checkbox" id="vs-ocr"> Make text searchable (on-device OCR, English)</label>
+                </div>
                 <div class="form-group">
-                    <label>Number of pages to capture forward</label>
-                    <input type="number" id="vs-page-limit" value="10" min="1" placeholder="Number of pages">
+                    <label class="checkbox"><input type="checkbox" id="vs-annotations"> Include my highlights and notes (PDF)</label>
                 </div>
                 <div class="form-group">
-                    <label>Filename</label>
-                    <input type="text" id="vs-filename" placeholder="book-name">
+                    <label class="checkbox">
+                        <input type="checkbox" id="vs-split"> Split into files of
+                        <input type="number" id="vs-chunk-size" class="inline-number" value="50" min="1" aria-label="Pages per file"> pages
+                    </label>
                 </div>
+                <details class="page-setup">
+                    <summary>Page setup</summary>
+                    <div class="form-group">
+                        <label for="vs-page-size">Page size</label>
+                        <select id="vs-page-size">
+                            <option value="letter">Letter (8.5 × 11 in)</option>
+                            <option value="a4">A4 (210 × 297 mm)</option>
+                            <option value="a5">A5 (148 × 210 mm)</option>
+                            <option value="source">Match source image (no white bars)</option>
+                            <option value="custom">Custom…</option>
+                        </select>
+                        <div class="range-inputs" id="vs-custom-size" style="display:none;">
+                            <input type="number" id="vs-custom-width" value="6" min="1" step="0.1" aria-label="Custom width in inches">
+                            <span>×</span>
+                            <input type="number" id="vs-custom-height" value="9" min="1" step="0.1" aria-label="Custom height in inches">
+                            <span>in</span>
+                        </div>
+                    </div>
+                    <div class="form-group" id="vs-fit-group">
+                        <label for="vs-page-fit">Image placement</label>
+                        <select id="vs-page-fit">
+                            <option value="fit">Fit inside the page</option>
+                            <option value="fill">Fill the page (crop the edges)</option>
+                            <option value="actual">Actual size at the source resolution</option>
+                        </select>
+                    </div>
+                    <div class="range-inputs">
+                        <span id="vs-dpi-group" style="display:none;">
+                            Source resolution <input type="number" id="vs-page-dpi" class="inline-number" value="150" min="36" aria-label="Source resolution in DPI"> DPI
+                        </span>
+                        <span>Margins <input type="number" id="vs-page-margin" class="inline-number" value="0" min="0" step="0.05" aria-label="Margins in inches"> in</span>
+                    </div>
+                    <div class="form-group">
+                        <label for="vs-page-spreads">Two-page spreads</label>
+                        <select id="vs-page-spreads">
+                            <option value="split">One page per book page</option>
+                            <option value="merge">Both pages on one landscape page</option>
+                        </select>
+                    </div>
+                </details>
+                <details class="page-setup">
+                    <summary>Image quality</summary>
+                    <div class="form-group">
+                        <label for="vs-image-format">Format</label>
+                        <select id="vs-image-format">
+                            <option value="jpeg">JPEG (smaller files)</option>
+                            <option value="png">PNG (lossless, for diagrams and line art)</option>
+                        </select>
+                    </div>
+                    <div class="range-inputs form-group">
+                        <span id="vs-quality-group">
+                            JPEG quality <input type="number" id="vs-image-quality" class="inline-number" value="92" min="1" max="100" aria-label="JPEG quality">
+                        </span>
+                        <span>
+                            Downscale to <input type="number" id="vs-image-dpi" class="inline-number" min="36" placeholder="full" aria-label="Downscale to DPI"> DPI
+                        </span>
+                    </div>
+                    <div class="form-group">
+                        <label class="checkbox"><input type="checkbox" id="vs-image-grayscale"> Convert to grayscale</label>
+                    </div>
+                    <div class="form-group">
+                        <label class="checkbox"><input type="checkbox" id="vs-image-trim"> Trim margins (the same on all left and all right pages)</label>
+                    </div>
+                    <div class="form-group">
+                        <label class="checkbox"><input type="checkbox" id="vs-image-enhance"> Whiten background and boost contrast</label>
+                    </div>
+                    <div class="form-group">
+                        <label for="vs-image-tone">Rendition</label>
+                        <select id="vs-image-tone">
+                            <option value="original">As captured</option>
+                            <option value="bitonal">Black and white only (text-only books)</option>
+                            <option value="night">Night (light text on dark)</option>
+                        </select>
+                    </div>
+                    <div class="range-inputs">
+                        <button class="btn-link" id="vs-estimate">Estimate file size</button>
+                        <span id="vs-size-estimate" role="status"></span>
+                    </div>
+                </details>
                 <div class="buttons">
                     <button class="btn-secondary" id="vs-cancel">Cancel</button>
                     <button class="btn-danger" id="vs-clear" style="display:none;">Clear</button>
@@ -519,29 +3293,48 @@
                 </div>
                 <div class="status" id="vs-status">
                     <span id="vs-status-text"></span>
-                    <div class="progress-bar"><div class="progress-fill" id="vs-progress"></div></div>
+                    <div class="progress-bar" role="progressbar" aria-label="Capture progress" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                        <div class="progress-fill" id="vs-progress"></div>
+                    </div>
                 </div>
             </div>
         `;
 
         document.body.appendChild(modal);
         state.modal = modal;
+        initDialog(modal, modal.querySelector('.modal-content'), 'vs-modal-title', hideModal);
 
         modal.addEventListener('click', (e) => { if (e.target === modal) hideModal(); });
         modal.querySelector('.modal-content').addEventListener('click', (e) => e.stopPropagation());
         document.getElementById('vs-cancel').addEventListener('click', hideModal);
         document.getElementById('vs-action').addEventListener('click', () => {
             if (state.isRunning) {
-                state.isRunning = false;
-                updateModalUI();
+                stopJob();
             } else if (state.pageCount > 0) {
-                generatePDF();
+                canReview() ? showReview() : generatePDF();
             } else {
                 startCapture();
             }
         });
+        document.getElementById('vs-resume-btn').addEventListener('click', resumeCapture);
+        document.getElementById('vs-resume-discard').addEventListener('click', () => {
+            discardJournal();
+            updateModalUI();
+        });
+        document.getElementById('vs-mode-toggle').addEventListener('click', () => {
+            if (state.isRunning) return;
+            setCaptureMode(state.mode === 'chapters' ? 'pages' : 'chapters');
+        });
+        ['vs-page-size', 'vs-page-fit', 'vs-image-format'].forEach((id) => {
+            document.getElementById(id).addEventListener('change', updatePageSetupUI);
+        });
+        document.getElementById('vs-estimate').addEventListener('click', estimateSize);
+        // Any option can change the name (range, format, splitting, chapters)
+        modal.addEventListener('input', updateFilenamePreview);
+        modal.addEventListener('change', updateFilenamePreview);
         document.getElementById('vs-clear').addEventListener('click', () => {
-            state.pdf = null;
+            if (isCaptureOpen()) return;
+            discardJournal();
             state.pageCount = 0;
             state.firstPageLabel = null;
             state.lastPageLabel = null;
@@ -550,83 +3343,371 @@
             updateStatus('Cleared all pages.', 'info');
         });
 
-        const title = getBookTitle();
-        if (title) document.getElementById('vs-filename').value = sanitizeFilename(title);
+        applySettings(state.settings);
     }
 
-    function showModal() {
-        if (!state.modal) createModal();
-        state.modal.classList.add('visible');
-        updateModalUI();
+    // Fills the capture options in with the saved defaults
+    function applySettings(settings) {
+        const { pageSetup, image } = settings;
+        const setValue = (id, value) => { document.getElementById(id).value = value ?? ''; };
+
+        setValue('vs-page-limit', settings.pageLimit);
+        setValue('vs-filename', settings.filenameTemplate);
+        setValue('vs-format', settings.format);
+        document.getElementById('vs-split').checked = !!settings.chunkSize;
+        setValue('vs-chunk-size', settings.chunkSize || CHUNK_SIZE);
+
+        setValue('vs-page-size', pageSetup.size);
+        setValue('vs-custom-width', pageSetup.customWidth);
+        setValue('vs-custom-height', pageSetup.customHeight);
+        setValue('vs-page-fit', pageSetup.fit);
+        setValue('vs-page-dpi', pageSetup.dpi);
+        setValue('vs-page-margin', pageSetup.margin);
+        setValue('vs-page-spreads', pageSetup.spreads);
+
+        setValue('vs-image-format', image.format);
+        setValue('vs-image-quality', image.quality);
+        setValue('vs-image-dpi', image.dpi);
+        document.getElementById('vs-image-grayscale').checked = image.grayscale;
+        document.getElementById('vs-image-trim').checked = image.trimMargins;
+        document.getElementById('vs-image-enhance').checked = image.enhance;
+        setValue('vs-image-tone', image.tone);
+
+        updatePageSetupUI();
+        updateFilenamePreview();
+        state.settingsChanged = false;
     }
 
-    function hideModal() {
-        state.modal?.classList.remove('visible');
-        state.isRunning = false;
+    // Shows what the first file of a capture with the current options will
+    // be called. Chapter labels that haven't been looked up yet show as "…".
+    function updateFilenamePreview() {
+        const preview = document.getElementById('vs-filename-preview');
+        if (!preview) return;
+
+        const extension = OUTPUT_FORMATS[getOutputFormat()].extension;
+        const chunkSize = getChunkSize();
+        let chapter = '';
+        let first = '…';
+        let rangeEnd = '';
+        let count = null;
+        if (state.mode === 'chapters') {
+            const entry = state.toc.find((item) => item.checked);
+            chapter = entry?.title || '';
+            if (entry?.pageLabel) first = entry.pageLabel;
+        } else {
+            rangeEnd = document.getElementById('vs-range-end').value.trim();
+            first = document.getElementById('vs-range-start').value.trim() || getCurrentPageLabel() || '1';
+            count = rangeEnd ? estimateRangeLength(first, rangeEnd) : parseInt(document.getElementById('vs-page-limit').value, 10);
+        }
+
+        const split = !!chunkSize && !(count <= chunkSize);
+        let last = '…';
+        if (rangeEnd && !split) last = rangeEnd;
+        else if (first !== '…' && (split || count > 0)) {
+            const pages = split ? chunkSize : count;
+            // Labels that can't be counted on ("Cover") give no end label
+            last = offsetLabel(first, pages - 1);
+            if (last === first && pages > 1) last = '…';
+        }
+        const name = formatFilename(getFilenameTemplate(), { chapter, first, last, part: split ? 1 : null });
+        preview.textContent = `Saves as ${name}.${extension}${split ? ', then further parts' : ''}`;
     }
 
-    // UI: Header Button
-    function injectHeaderButton() {
-        if (document.getElementById('vs-download-page-btn')) return;
+    // Shows only the page setup and image fields that apply to the current choices
+    function updatePageSetupUI() {
+        const size = document.getElementById('vs-page-size').value;
+        const fit = document.getElementById('vs-page-fit').value;
+        document.getElementById('vs-custom-size').style.display = size === 'custom' ? '' : 'none';
+        document.getElementById('vs-fit-group').style.display = size === 'source' ? 'none' : '';
+        document.getElementById('vs-dpi-group').style.display = size === 'source' || fit === 'actual' ? '' : 'none';
+        document.getElementById('vs-quality-group').style.display = document.getElementById('vs-image-format').value === 'jpeg' ? '' : 'none';
+    }
 
-        const header = document.querySelector('header');
-        if (!header) { setTimeout(injectHeaderButton, 1000); return; }
+    async function setCaptureMode(mode) {
+        state.mode = mode;
+        document.getElementById('vs-pages-options').style.display = mode === 'pages' ? '' : 'none';
+        document.getElementById('vs-chapter-options').style.display = mode === 'chapters' ? '' : 'none';
+        document.getElementById('vs-mode-toggle').textContent =
+            mode === 'chapters' ? 'Capture pages instead' : 'Capture chapters…';
+        updateFilenamePreview();
+
+        if (mode === 'chapters' && state.toc.length === 0) {
+            updateStatus('Reading table of contents...');
+            try {
+                state.toc = await readTableOfContents();
+                if (state.toc.length === 0) throw new Error('The table of contents is empty');
+                updateStatus(`Found ${state.toc.length} entries in the table of contents.`, 'success');
+            } catch (e) {
+                updateStatus(`Error: ${e.message}`, 'error');
+            }
+            renderChapterList();
+            updateFilenamePreview();
+        }
+    }
 
-        const moreOptionsBtn = header.querySelector('button[aria-label="More Options"]');
-        if (!moreOptionsBtn) { setTimeout(injectHeaderButton, 1000); return; }
+    function renderChapterList() {
+        const list = document.getElementById('vs-chapter-list');
+        list.replaceChildren();
 
-        const toolbar = moreOptionsBtn.closest('div[class*="sc-bjztik"], div[class*="gJFeZN"]') ||
-            moreOptionsBtn.parentElement?.parentElement?.parentElement?.parentElement;
-        if (!toolbar) { setTimeout(injectHeaderButton, 1000); return; }
+        if (state.toc.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty';
+            empty.textContent = 'No chapters found.';
+            list.appendChild(empty);
+            return;
+        }
 
-        const existingWrapper = toolbar.querySelector('div[class*="sc-bhnkmi"], div[class*="bTlBzX"]');
-        if (!existingWrapper) { setTimeout(injectHeaderButton, 1000); return; }
+        const minLevel = Math.min(...state.toc.map((entry) => entry.level));
+        state.toc.forEach((entry) => {
+            const row = document.createElement('label');
+            row.style.paddingLeft = `${10 + (entry.level - minLevel) * 16}px`;
 
-        console.log('[VS-PDF] Found toolbar, injecting header button');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = entry.checked;
+            checkbox.addEventListener('change', () => { entry.checked = checkbox.checked; });
 
-        const wrapper = document.createElement('div');
-        wrapper.className = existingWrapper.className;
-        wrapper.id = 'vs-download-page-btn';
+            row.append(checkbox, entry.title);
+            list.appendChild(row);
+        });
+    }
 
-        const existingButton = existingWrapper.querySelector('button');
-        const buttonClass = existingButton?.className || '';
-        const contentClass = existingButton?.querySelector('[class*="buttonContent"]')?.className || '';
-        const iconWrapperClass = existingButton?.querySelector('[class*="iconWrapper"]')?.className || '';
-
-        wrapper.innerHTML = `
-            <div class="Tooltip__Manager-eGcvbd jUUnfi IconButton__Tooltip-fOpTQX hHCicF" dir="ltr" lang="en">
-                <div>
-                    <button aria-label="Download Current Page" dir="ltr" lang="en" class="${buttonClass}">
-                        <span class="${contentClass}">
-                            <span class="${iconWrapperClass}">
-                                <svg aria-hidden="true" focusable="false" viewBox="0 0 16 16" style="width: 16px; height: 16px;">
-                                    <path fill="currentColor" d="M8 12l-4-4h2.5V3h3v5H12L8 12z"/>
-                                    <path fill="currentColor" d="M14 13v1H2v-1h12z"/>
-                                </svg>
-                            </span>
-                        </span>
-                    </button>
-                </div>
-            </div>
-        `;
+    function showModal() {
+        if (!state.modal) createModal();
+        // Defaults saved on the options page since the modal was built
+        if (state.settingsChanged && !state.isRunning) applySettings(state.settings);
+        openDialog(state.modal);
+        updateModalUI();
+        updateFilenamePreview();
+        if (!state.isRunning) detectBookType();
+    }
 
-        const moreOptionsWrapper = moreOptionsBtn.closest('[class*="Popover__Manager"]');
-        if (moreOptionsWrapper?.parentElement === toolbar) {
-            toolbar.insertBefore(wrapper, moreOptionsWrapper);
-        } else {
-            toolbar.appendChild(wrapper);
+    // Reflowable books are captured as text into one PDF (see
+    // captureTextStep), so the options that only apply to page images are
+    // turned off while the dialog is open on one
+    const PAGE_IMAGE_OPTIONS = ['vs-mode-toggle', 'vs-format', 'vs-bookmarks', 'vs-review', 'vs-ocr', 'vs-annotations',
+        'vs-split', 'vs-chunk-size', 'vs-image-trim', 'vs-image-enhance', 'vs-image-tone'];
+
+    async function detectBookType() {
+        let reflowable;
+        try {
+            reflowable = !(await pingIframe()).hasImage;
+        } catch {
+            return; // No frame to ask yet; the capture finds out when it starts
+        }
+        PAGE_IMAGE_OPTIONS.forEach((id) => {
+            const input = document.getElementById(id);
+            input.disabled = reflowable;
+            if (reflowable && input.type === 'checkbox') input.checked = false;
+        });
+        document.getElementById('vs-reflowable-note').style.display = reflowable ? '' : 'none';
+        if (reflowable) {
+            document.getElementById('vs-format').value = 'pdf';
+            document.getElementById('vs-image-tone').value = 'original';
+            if (state.mode === 'chapters') setCaptureMode('pages');
         }
+        updateFilenamePreview();
+    }
+
+    // Closing the dialog leaves a running capture going; Stop ends it
+    function hideModal() {
+        closeDialog(state.modal);
+    }
+
+    // UI: Header Button — sits before the reader's "More Options" button. The
+    // reader's class names change with every deploy and it re-renders its
+    // header on navigation, so the toolbar is found by ARIA labels and
+    // structure, and an observer puts the button back whenever it goes
+    // missing. If no toolbar turns up, a floating button is shown instead.
+    const TOOLBAR_WAIT = 10000; // How long to look for the toolbar before falling back, in ms
+    const INJECT_DEBOUNCE = 200; // Batches the reader's DOM updates before checking the button
+    const scriptLoadedAt = Date.now();
+
+    const DOWNLOAD_ICON = `
+        <svg aria-hidden="true" focusable="false" viewBox="0 0 16 16" style="width: 16px; height: 16px;">
+            <path fill="currentColor" d="M8 12l-4-4h2.5V3h3v5H12L8 12z"/>
+            <path fill="currentColor" d="M14 13v1H2v-1h12z"/>
+        </svg>
+    `;
+
+    // The reader's buttons, leaving out ours
+    function getReaderButtons(container) {
+        return [...container.querySelectorAll('button')].filter((button) => !button.closest('#vs-download-page-btn'));
+    }
+
+    // Where the button goes: the toolbar and the item in it (the toolbar
+    // child holding "More Options") to insert before. Falls back to the
+    // header's last button when "More Options" is renamed.
+    function findToolbarAnchor() {
+        const header = document.querySelector('header, [role="banner"]');
+        if (!header) return null;
+
+        const buttons = getReaderButtons(header);
+        const target = header.querySelector('button[aria-label="More Options"], button[aria-label*="more options" i]') ||
+            buttons[buttons.length - 1];
+        if (!target) return null;
+
+        // The toolbar is the closest ancestor that holds other buttons too
+        let item = target;
+        while (item.parentElement !== header && getReaderButtons(item.parentElement).length < 2) item = item.parentElement;
+        return { toolbar: item.parentElement, item };
+    }
+
+    // Builds the button from a neighbouring toolbar item's classes so it
+    // looks like the reader's own icon buttons
+    function createHeaderButton({ toolbar, item }) {
+        const getButton = (element) => (element.matches('button') ? element : element.querySelector('button'));
+        const sibling = [...toolbar.children].find((child) => child !== item && child.id !== 'vs-download-page-btn' && getButton(child)) || item;
+        const siblingButton = getButton(sibling);
+
+        const wrapper = document.createElement('div');
+        if (sibling !== siblingButton) wrapper.className = sibling.className;
+        wrapper.id = 'vs-download-page-btn';
 
-        wrapper.querySelector('button').addEventListener('click', (e) => {
+        const button = document.createElement('button');
+        button.className = siblingButton?.className || '';
+        button.setAttribute('aria-label', 'Download Current Page');
+        button.setAttribute('aria-haspopup', 'dialog');
+        button.title = 'Download Current Page';
+
+        // Icon buttons wrap the icon in one or two spans; copy that nesting
+        const content = document.createElement('span');
+        const icon = document.createElement('span');
+        content.className = siblingButton?.querySelector('span')?.className || '';
+        icon.className = siblingButton?.querySelector('span span')?.className || '';
+        icon.innerHTML = DOWNLOAD_ICON;
+        content.appendChild(icon);
+        button.appendChild(content);
+        wrapper.appendChild(button);
+
+        button.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
             showChoiceDialog();
         });
+        return wrapper;
+    }
+
+    function showFloatingButton() {
+        const floating = document.createElement('div');
+        floating.id = 'vs-floating-btn';
+        floating.innerHTML = `
+            <style>
+                #vs-floating-btn button {
+                    position: fixed; right: 20px; bottom: 20px; z-index: 999998; width: 48px; height: 48px;
+                    display: flex; align-items: center; justify-content: center; border: none; border-radius: 50%;
+                    background: #4a90d9; color: #fff; box-shadow: 0 4px 12px rgba(0,0,0,0.3); cursor: pointer;
+                }
+                #vs-floating-btn button:hover { background: #3a7bc8; }
+                #vs-floating-btn button:focus-visible { outline: 3px solid #1a1a1a; outline-offset: 2px; }
+            </style>
+            <button aria-label="Download Current Page" aria-haspopup="dialog" title="Download Current Page">${DOWNLOAD_ICON}</button>
+        `;
+        document.body.appendChild(floating);
+        floating.querySelector('button').addEventListener('click', showChoiceDialog);
+        console.log('[VS-PDF] Toolbar not found, showing floating download button');
+    }
+
+    // Puts the button in the toolbar, or back in it after a re-render;
+    // replaces the floating button once a toolbar appears
+    function ensureHeaderButton() {
+        const anchor = findToolbarAnchor();
+        const existing = document.getElementById('vs-download-page-btn');
+        const floating = document.getElementById('vs-floating-btn');
+
+        if (anchor) {
+            if (existing?.parentElement === anchor.toolbar) return;
+            existing?.remove();
+            floating?.remove();
+            anchor.toolbar.insertBefore(createHeaderButton(anchor), anchor.item);
+            console.log('[VS-PDF] Header download button injected');
+        } else if (!existing && !floating && Date.now() - scriptLoadedAt >= TOOLBAR_WAIT) {
+            showFloatingButton();
+        }
+    }
+
+    function watchHeaderButton() {
+        let pending = null;
+        new MutationObserver(() => {
+            if (pending) return;
+            pending = setTimeout(() => {
+                pending = null;
+                ensureHeaderButton();
+            }, INJECT_DEBOUNCE);
+        }).observe(document.body, { childList: true, subtree: true });
+
+        ensureHeaderButton();
+        // The fallback has to show up even if the page never changes again
+        setTimeout(ensureHeaderButton, TOOLBAR_WAIT);
+    }
 
-        console.log('[VS-PDF] Header download button injected');
+    // Popup and keyboard commands — the toolbar popup asks the active tab for
+    // its capture status and can open the dialog or stop a capture; the
+    // background script forwards the extension's keyboard shortcuts
+    function getCaptureStatus() {
+        const pendingPages = state.journal
+            ? getPendingRuns().reduce((sum, run) => sum + run.capturedLabels.length - getWrittenCount(run), 0)
+            : 0;
+        return {
+            title: getBookTitle(),
+            currentPage: getCurrentPageLabel(),
+            isRunning: state.isRunning,
+            isAssembling: state.isAssembling,
+            pageCount: state.pageCount,
+            firstPageLabel: state.firstPageLabel,
+            lastPageLabel: state.lastPageLabel,
+            pendingPages,
+            status: state.status,
+        };
     }
 
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (sender.id !== chrome.runtime.id) return;
+        if (JOB_COMMANDS[message?.type]) {
+            runJobCommand(message).then(sendResponse, (e) => sendResponse({ result: 'error', message: e.message }));
+            return true;
+        }
+        if (message?.type === 'VS_OPEN_MODAL') {
+            hideChoiceDialog();
+            showModal();
+        }
+        if (message?.type === 'VS_DOWNLOAD_PAGE' && !state.isRunning) {
+            hideChoiceDialog();
+            downloadCurrentPageDirect();
+        }
+        if (message?.type === 'VS_CLIP_REGION' && !state.isRunning) {
+            hideChoiceDialog();
+            clipRegion();
+        }
+        if (message?.type === 'VS_STOP_CAPTURE' && state.isRunning) stopJob();
+        if (['VS_GET_STATUS', 'VS_OPEN_MODAL', 'VS_DOWNLOAD_PAGE', 'VS_CLIP_REGION', 'VS_STOP_CAPTURE'].includes(message?.type)) {
+            sendResponse(getCaptureStatus());
+        }
+    });
+
     // Initialize
-    injectHeaderButton();
+    VsSettings.load().then((settings) => {
+        state.settings = settings;
+        if (state.modal && !state.isRunning) applySettings(settings);
+    });
+    VsSettings.onChange((settings) => {
+        state.settings = settings;
+        state.settingsChanged = true;
+    });
+    watchHeaderButton();
+    loadJournal().then((journal) => {
+        // A session still marked running belonged to a tab that crashed,
+        // reloaded or navigated away
+        const wasRunning = journal?.status === 'running';
+        if (wasRunning) journal.status = 'interrupted';
+        state.journal = journal;
+
+        // Pages of an unfinished or unreviewed session are still in the store
+        // and can be saved with "Download PDF"
+        if (journal && (journal.status !== 'complete' || getPendingRuns(journal).length > 0)) {
+            state.pageCount = journal.runs.reduce((sum, run) => sum + run.capturedLabels.length, 0);
+        }
+        if (wasRunning) resumeBackgroundJob(journal.id);
+    });
     console.log('[VS-PDF] Initialized');
 })();
@@ -0,0 +1,142 @@
+/**
+ * VitalSource PDF Downloader - EPUB Writer
+ * Exports captured pages as a fixed-layout (pre-paginated) EPUB 3: one
+ * XHTML page per image, sized to the image, with the table of contents and
+ * the book's page labels in the navigation document.
+ */
+
+(function () {
+    'use strict';
+
+    const { escapeXml } = ZipWriter;
+
+    const CONTAINER_XML = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+        '  <rootfiles>',
+        '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>',
+        '  </rootfiles>',
+        '</container>',
+    ].join('\n');
+
+    class EpubWriter {
+        constructor() {
+            this.zip = new ZipWriter();
+            this.pages = [];
+            // The mimetype entry has to come first, uncompressed
+            this.ready = this.zip.addFile('mimetype', 'application/epub+zip')
+                .then(() => this.zip.addFile('META-INF/container.xml', CONTAINER_XML));
+        }
+
+        get pageCount() {
+            return this.pages.length;
+        }
+
+        // page: { data: Blob, format: 'jpeg' | 'png', width, height, label }
+        async addPage(page) {
+            await this.ready;
+            const id = `p${String(this.pages.length + 1).padStart(4, '0')}`;
+            const png = page.format === 'png';
+            const image = `images/${id}.${png ? 'png' : 'jpg'}`;
+            const label = page.label || String(this.pages.length + 1);
+
+            await this.zip.addFile(`OEBPS/${image}`, page.data);
+            await this.zip.addFile(`OEBPS/${id}.xhtml`, [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<!DOCTYPE html>',
+                '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+                '<head>',
+                `  <title>${escapeXml(label)}</title>`,
+                `  <meta name="viewport" content="width=${page.width}, height=${page.height}"/>`,
+                '  <style>html, body { margin: 0; padding: 0; } img { display: block; width: 100%; height: 100%; }</style>',
+                '</head>',
+                '<body>',
+                `  <img src="${image}" alt="Page ${escapeXml(label)}"/>`,
+                '</body>',
+                '</html>',
+            ].join('\n'));
+
+            this.pages.push({ id, image, label, mediaType: png ? 'image/png' : 'image/jpeg' });
+        }
+
+        // Nested <ol> for the toc nav from the outline tree
+        navList(items, indent) {
+            const pad = ' '.repeat(indent);
+            const lines = [`${pad}<ol>`];
+            items.forEach((item) => {
+                const link = `<a href="${this.pages[item.pageIndex].id}.xhtml">${escapeXml(item.title)}</a>`;
+                if (item.children.length === 0) {
+                    lines.push(`${pad}  <li>${link}</li>`);
+                } else {
+                    lines.push(`${pad}  <li>${link}`, this.navList(item.children, indent + 4), `${pad}  </li>`);
+                }
+            });
+            lines.push(`${pad}</ol>`);
+            return lines.join('\n');
+        }
+
+        navDocument(title, outline) {
+            // The toc nav can't be empty; without an outline it points at the first page
+            const toc = outline.length > 0 ? outline : [{ title, pageIndex: 0, children: [] }];
+            const pageList = this.pages.map((page) => `      <li><a href="${page.id}.xhtml">${escapeXml(page.label)}</a></li>`);
+
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<!DOCTYPE html>',
+                '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+                `<head><title>${escapeXml(title)}</title></head>`,
+                '<body>',
+                '  <nav epub:type="toc" id="toc">',
+                `    <h1>${escapeXml(title)}</h1>`,
+                this.navList(toc, 4),
+                '  </nav>',
+                '  <nav epub:type="page-list" hidden="">',
+                '    <ol>',
+                ...pageList,
+                '    </ol>',
+                '  </nav>',
+                '</body>',
+                '</html>',
+            ].join('\n');
+        }
+
+        packageDocument(title) {
+            const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+            const items = this.pages.flatMap((page, i) => [
+                `    <item id="${page.id}" href="${page.id}.xhtml" media-type="application/xhtml+xml"/>`,
+                `    <item id="${page.id}-image" href="${page.image}" media-type="${page.mediaType}"${i === 0 ? ' properties="cover-image"' : ''}/>`,
+            ]);
+            const spine = this.pages.map((page) => `    <itemref idref="${page.id}"/>`);
+
+            return [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" prefix="rendition: http://www.idpf.org/vocab/rendition/#">',
+                '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+                `    <dc:identifier id="book-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>`,
+                `    <dc:title>${escapeXml(title)}</dc:title>`,
+                '    <dc:language>en</dc:language>',
+                `    <meta property="dcterms:modified">${modified}</meta>`,
+                '    <meta property="rendition:layout">pre-paginated</meta>',
+                '    <meta property="rendition:spread">none</meta>',
+                '  </metadata>',
+                '  <manifest>',
+                '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+                ...items,
+                '  </manifest>',
+                '  <spine>',
+                ...spine,
+                '  </spine>',
+                '</package>',
+            ].join('\n');
+        }
+
+        async finish({ title = 'Untitled', outline = [] } = {}) {
+            await this.ready;
+            await this.zip.addFile('OEBPS/nav.xhtml', this.navDocument(title, outline));
+            await this.zip.addFile('OEBPS/content.opf', this.packageDocument(title));
+            return this.zip.finish('application/epub+zip');
+        }
+    }
+
+    globalThis.EpubWriter = EpubWriter;
+})();
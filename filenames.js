@@ -0,0 +1,65 @@
+/**
+ * VitalSource PDF Downloader - Filenames
+ * Names for the files the extension saves, built from the user's filename
+ * template and made safe for every operating system.
+ */
+
+(function () {
+    'use strict';
+
+    // Filenames come from a template such as "{title}_{part}_p{first}-{last}".
+    // Tokens that don't apply to a file (no author found, a file holding the
+    // whole run, a single page's last label) are left empty, and the
+    // separators left over around them are dropped.
+    const TOKENS = ['title', 'author', 'isbn', 'chapter', 'first', 'last', 'part', 'date'];
+    const MAX_LENGTH = 150; // Characters before the extension
+
+    // Makes text safe to use in a filename on any system while keeping letters
+    // of every script: drops characters Windows or the downloads API reject
+    // and invisible direction marks, joins words with underscores and cuts to
+    // maxLength characters (not UTF-16 units, so nothing is split in half)
+    function sanitizeFilename(name, maxLength = 80) {
+        let clean = String(name).normalize('NFC')
+            .replace(/[\u0000-\u001f\u007f<>:"/\\|?*\u200b-\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g, '')
+            .trim()
+            .replace(/\s+/g, '_')
+            .replace(/([_-])\1+/g, '$1');
+        clean = Array.from(clean).slice(0, maxLength).join('').replace(/^[._-]+|[._-]+$/g, '');
+        return /^(con|prn|aux|nul|com\d|lpt\d)$/i.test(clean) ? `${clean}_` : clean;
+    }
+
+    function formatDate(time) {
+        const date = new Date(time);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // The filename (without extension) for one file of book ({ title,
+    // authors, isbn }). part is null for a file holding a whole run; date is
+    // when the capture started. Split and chapter files get their part and
+    // chapter even when the template leaves them out, so they don't overwrite
+    // each other.
+    function formatFilename(template, book, { chapter = '', first = '', last = '', part = null, date = Date.now() } = {}) {
+        let pattern = template;
+        if (chapter && !pattern.includes('{chapter}')) pattern += '_{chapter}';
+        if (part && !pattern.includes('{part}')) pattern += '_{part}';
+
+        const title = book.title || 'vitalsource-book';
+        const values = {
+            title,
+            author: book.authors.join(', '),
+            isbn: book.isbn || '',
+            chapter,
+            first,
+            last: last === first ? '' : last,
+            part: part ? `part${part}` : '',
+            date: formatDate(date),
+        };
+        const name = pattern
+            .replace(/\{(\w+)\}/g, (token, key) => TOKENS.includes(key) ? sanitizeFilename(values[key]) : token)
+            .replace(/\(\s*\)|\[\s*\]/g, '');
+        return sanitizeFilename(name, MAX_LENGTH) || sanitizeFilename(title);
+    }
+
+    globalThis.VsFilenames = { MAX_LENGTH, sanitizeFilename, formatFilename };
+})();
@@ -0,0 +1,303 @@
+/**
+ * VitalSource PDF Downloader - Reader Fixture
+ * A local stand-in for the VitalSource reader, for trying the extension
+ * against known pages without a real book: the /reader/books/ URL shape, a
+ * header toolbar with "More Options", the text-field- page input, Next and
+ * Table of Contents buttons, and a <mosaic-book> shadow root holding nested
+ * frames from a second origin that show img#pbk-page. Node built-ins only.
+ *
+ *   node fixtures/reader/server.js [--port 8800] [--extension /tmp/vs-ext]
+ *
+ * The reader is served at http://localhost:<port>/reader/books/9780000000001/,
+ * its page frames from http://127.0.0.1:<port + 1>. --extension writes a copy
+ * of the extension whose content script also runs on the fixture; load that
+ * folder unpacked. Query parameters on the reader URL set up a scenario:
+ *
+ *   pages=30      numbered pages, after the front matter
+ *   front=4       roman-numbered front matter pages (i, ii, ...)
+ *   start=0       index of the page the reader opens on
+ *   turn=150      ms between clicking Next and the page label changing
+ *   delay=0       ms the server waits before sending each page image
+ *   fail=5,9      page indexes whose image fails to load once (the frame retries)
+ *   broken=12     page indexes whose image never loads
+ *   last=disable  at the last page, Next is disabled ("disable"), does
+ *                 nothing ("stay") or is removed ("hide")
+ *   spread=1      show two pages side by side; Next turns both
+ *   header=now    build the header now, after 3 s ("late") or never ("none")
+ *   rerender=0    ms between re-renders of the header with new class names
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+};
+
+const PORT = parseInt(option('port', '8800'), 10);
+const READER_ORIGIN = `http://localhost:${PORT}`;
+const CONTENT_ORIGIN = `http://127.0.0.1:${PORT + 1}`;
+const EXTENSION_ROOT = path.resolve(__dirname, '..', '..');
+
+// Page images: a label and a pattern that differs from page to page, so
+// blank and duplicate detection see distinct pages
+function pageSvg(index, label) {
+    const hue = (index * 47) % 360;
+    let bars = '';
+    for (let i = 0; i < 12; i++) {
+        const width = 120 + ((index * 7 + i * 13) % 9) * 50;
+        bars += `<rect x="80" y="${260 + i * 50}" width="${width}" height="24" fill="#555"/>`;
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="1000" viewBox="0 0 800 1000">
+        <rect width="800" height="1000" fill="hsl(${hue}, 40%, 92%)"/>
+        <text x="400" y="170" font-family="sans-serif" font-size="96" text-anchor="middle" fill="#222">${label}</text>
+        ${bars}
+        <text x="400" y="960" font-family="sans-serif" font-size="28" text-anchor="middle" fill="#444">Page ${label}</text>
+    </svg>`;
+}
+
+const READER_HTML = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Fixture Book | Bookshelf</title>
+    <style>
+        body { margin: 0; font-family: sans-serif; }
+        header { display: flex; align-items: center; justify-content: space-between; padding: 8px 16px; background: #1f2a44; color: #fff; }
+        header .toolbar { display: flex; gap: 8px; }
+        header button { background: none; border: 1px solid #fff5; color: #fff; border-radius: 4px; padding: 6px 10px; }
+        .controls { display: flex; gap: 8px; align-items: center; padding: 8px 16px; }
+        mosaic-book { display: block; height: calc(100vh - 110px); }
+        nav { position: fixed; top: 60px; left: 0; width: 260px; background: #fff; border: 1px solid #ccc; padding: 8px; }
+    </style>
+</head>
+<body>
+    <div id="header-slot"></div>
+    <div class="controls">
+        <input id="text-field-7" aria-label="Page number">
+        <button id="next" aria-label="Next">Next ›</button>
+    </div>
+    <dl data-testid="book-details" hidden>
+        <dt>Author</dt><dd>Ada Fixture; Ben Harness</dd>
+        <dt>Publisher</dt><dd>Localhost Press</dd>
+        <dt>Print ISBN</dt><dd>978-0-00-000000-2</dd>
+        <dt>Edition</dt><dd>2nd</dd>
+    </dl>
+    <mosaic-book></mosaic-book>
+    <script>
+    (function () {
+        const options = new URLSearchParams(location.search);
+        const number = (name, fallback) => (options.has(name) ? parseInt(options.get(name), 10) : fallback);
+        const CONTENT_ORIGIN = ${JSON.stringify(CONTENT_ORIGIN)};
+
+        const roman = (n) => [[10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']]
+            .reduce((text, [value, numeral]) => { while (n >= value) { text += numeral; n -= value; } return text; }, '');
+        const labels = [];
+        for (let i = 1; i <= number('front', 4); i++) labels.push(roman(i));
+        for (let i = 1; i <= number('pages', 30); i++) labels.push(String(i));
+
+        const step = options.get('spread') === '1' ? 2 : 1;
+        const last = options.get('last') || 'disable';
+        const input = document.getElementById('text-field-7');
+        const next = document.getElementById('next');
+        let index = Math.min(number('start', 0), labels.length - 1);
+
+        customElements.define('mosaic-book', class extends HTMLElement {
+            connectedCallback() {
+                const root = this.attachShadow({ mode: 'open' });
+                const frame = document.createElement('iframe');
+                frame.style.cssText = 'width: 100%; height: 100%; border: 0;';
+                frame.src = CONTENT_ORIGIN + '/book.html?' + new URLSearchParams({ ...Object.fromEntries(options), index, labels: labels.join(',') });
+                root.appendChild(frame);
+                this.frame = frame;
+            }
+        });
+        const book = document.querySelector('mosaic-book');
+
+        function show(target) {
+            index = target;
+            input.value = step === 2 && labels[index + 1] ? labels[index] + '-' + labels[index + 1] : labels[index];
+            const atEnd = index + step >= labels.length;
+            next.disabled = atEnd && last === 'disable';
+            next.hidden = atEnd && last === 'hide';
+            book.frame.contentWindow.postMessage({ fixture: 'go', index }, CONTENT_ORIGIN);
+        }
+
+        next.addEventListener('click', () => {
+            if (index + step >= labels.length) return;
+            setTimeout(() => show(index + step), number('turn', 150));
+        });
+        input.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter') return;
+            const target = labels.indexOf(input.value.trim().split('-')[0]);
+            setTimeout(() => show(target >= 0 ? target : index), number('turn', 150));
+        });
+
+        // Header: class names change on every render, like a styled-components build
+        let renders = 0;
+        function renderHeader() {
+            const hash = Math.random().toString(36).slice(2, 8);
+            renders++;
+            document.getElementById('header-slot').innerHTML =
+                '<header class="sc-' + hash + '"><h2>Fixture Book</h2><div class="toolbar sc-' + hash + 't">' +
+                '<div class="item-' + hash + '"><button class="btn-' + hash + '" aria-label="Table of Contents">☰</button></div>' +
+                '<div class="item-' + hash + '"><button class="btn-' + hash + '" aria-label="Search">⌕</button></div>' +
+                '<div class="menu-' + hash + '"><button class="btn-' + hash + '" aria-label="More Options">⋯</button></div>' +
+                '</div></header>';
+            document.querySelector('[aria-label="Table of Contents"]').addEventListener('click', toggleContents);
+        }
+
+        // Table of contents: a chapter every ten numbered pages
+        function toggleContents() {
+            const open = document.querySelector('nav');
+            if (open) return open.remove();
+            const nav = document.createElement('nav');
+            nav.setAttribute('aria-label', 'Table of Contents');
+            const list = document.createElement('ul');
+            labels.forEach((label, i) => {
+                if (!/^\\d+$/.test(label) || (parseInt(label, 10) - 1) % 10 !== 0) return;
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = '#';
+                link.textContent = 'Chapter ' + ((parseInt(label, 10) - 1) / 10 + 1);
+                link.addEventListener('click', (event) => { event.preventDefault(); setTimeout(() => show(i), number('turn', 150)); });
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            nav.appendChild(list);
+            document.body.appendChild(nav);
+        }
+
+        const header = options.get('header') || 'now';
+        if (header === 'now') renderHeader();
+        if (header === 'late') setTimeout(renderHeader, 3000);
+        if (header !== 'none' && number('rerender', 0) > 0) setInterval(renderHeader, number('rerender', 0));
+
+        input.value = step === 2 && labels[index + 1] ? labels[index] + '-' + labels[index + 1] : labels[index];
+        next.disabled = index + step >= labels.length && last === 'disable';
+    })();
+    </script>
+</body>
+</html>`;
+
+// Outer content frame: holds the page frame and passes navigation on to it
+const BOOK_HTML = `<!DOCTYPE html>
+<html>
+<body style="margin: 0;">
+    <iframe id="pages" style="width: 100%; height: 100vh; border: 0;"></iframe>
+    <script>
+        const pages = document.getElementById('pages');
+        pages.src = '/page.html' + location.search;
+        window.addEventListener('message', (event) => {
+            if (event.data?.fixture === 'go') pages.contentWindow.postMessage(event.data, location.origin);
+        });
+    </script>
+</body>
+</html>`;
+
+// Page frame: one or two img#pbk-page, swapped in place on navigation
+const PAGE_HTML = `<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { margin: 0; display: flex; justify-content: center; gap: 8px; }
+        img { height: calc(100vh - 16px); margin: 8px 0; }
+    </style>
+</head>
+<body>
+    <script>
+        const options = new URLSearchParams(location.search);
+        const labels = options.get('labels').split(',');
+        const list = (name) => (options.get(name) || '').split(',').filter(Boolean).map(Number);
+        const failOnce = new Set(list('fail'));
+        const broken = new Set(list('broken'));
+        const count = options.get('spread') === '1' ? 2 : 1;
+
+        const images = [];
+        for (let i = 0; i < count; i++) {
+            const img = document.createElement('img');
+            img.id = 'pbk-page';
+            img.alt = '';
+            document.body.appendChild(img);
+            images.push(img);
+        }
+
+        function load(img, index) {
+            img.hidden = index >= labels.length;
+            if (img.hidden) return;
+            const query = new URLSearchParams({ label: labels[index], delay: options.get('delay') || '0' });
+            if (broken.has(index)) query.set('status', '500');
+            else if (failOnce.delete(index)) {
+                query.set('status', '500');
+                img.onerror = () => setTimeout(() => load(img, index), 1000);
+            }
+            img.src = '/img/' + index + '.svg?' + query;
+        }
+
+        function show(index) {
+            images.forEach((img, i) => load(img, index + i));
+        }
+
+        window.addEventListener('message', (event) => {
+            if (event.data?.fixture === 'go') show(event.data.index);
+        });
+        show(parseInt(options.get('index'), 10) || 0);
+    </script>
+</body>
+</html>`;
+
+function send(response, status, type, body) {
+    response.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    response.end(body);
+}
+
+const reader = http.createServer((request, response) => {
+    const url = new URL(request.url, READER_ORIGIN);
+    if (url.pathname.startsWith('/reader/books/')) return send(response, 200, 'text/html; charset=utf-8', READER_HTML);
+    if (url.pathname === '/') {
+        response.writeHead(302, { Location: '/reader/books/9780000000001/epubcfi/6' });
+        return response.end();
+    }
+    send(response, 404, 'text/plain', 'Not found');
+});
+
+const content = http.createServer((request, response) => {
+    const url = new URL(request.url, CONTENT_ORIGIN);
+    if (url.pathname === '/book.html') return send(response, 200, 'text/html; charset=utf-8', BOOK_HTML);
+    if (url.pathname === '/page.html') return send(response, 200, 'text/html; charset=utf-8', PAGE_HTML);
+
+    const image = url.pathname.match(/^\/img\/(\d+)\.svg$/);
+    if (!image) return send(response, 404, 'text/plain', 'Not found');
+
+    const delay = parseInt(url.searchParams.get('delay'), 10) || 0;
+    setTimeout(() => {
+        if (url.searchParams.get('status') === '500') return send(response, 500, 'text/plain', 'Simulated failure');
+        send(response, 200, 'image/svg+xml', pageSvg(parseInt(image[1], 10), url.searchParams.get('label') || image[1]));
+    }, delay);
+});
+
+// A copy of the extension that also runs on the fixture's reader origin
+function writeExtension(target) {
+    fs.cpSync(EXTENSION_ROOT, target, {
+        recursive: true,
+        filter: (source) => !/[\\/](\.git|fixtures|node_modules|test)$/.test(source),
+    });
+    const manifestPath = path.join(target, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifest.name += ' (fixture)';
+    manifest.content_scripts[0].matches.push(`${READER_ORIGIN}/*`);
+    manifest.web_accessible_resources.forEach((entry) => entry.matches.push(`${READER_ORIGIN}/*`));
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    console.log(`Extension for the fixture written to ${target}`);
+}
+
+const extensionDir = option('extension', null);
+if (extensionDir) writeExtension(path.resolve(extensionDir));
+
+reader.listen(PORT, 'localhost', () => console.log(`Reader:  ${READER_ORIGIN}/reader/books/9780000000001/epubcfi/6`));
+content.listen(PORT + 1, '127.0.0.1', () => console.log(`Content: ${CONTENT_ORIGIN}`));
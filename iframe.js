@@ -1,55 +1,173 @@
 /**
  * VitalSource PDF Downloader - Iframe Script
- * Injected into all iframes to capture page images.
+ * Injected into all iframes to capture page images, and to let the user
+ * select a region of one to clip.
  */
 
 (function () {
     'use strict';
 
+    const { create, parse, isRequest, randomId, isReaderOrigin, getFrameOrigin } = VsProtocol;
+
     const currentUrl = window.location.href;
+    const frameId = randomId();
 
-    function findPageImage() {
+    // The top page's origin, which the page can't fake: from ancestorOrigins,
+    // or where that is missing from the first message sent straight from the
+    // top window. Frames not inside a reader page stay silent.
+    let topOrigin = window === window.top ? window.location.origin : window.location.ancestorOrigins?.[window.location.ancestorOrigins.length - 1] ?? null;
+
+    // The top page's session, pinned to the nonce of the first request from
+    // it: replies echo the nonce, and requests with another one are ignored
+    let session = null;
+
+    function isRightToLeft() {
+        return getComputedStyle(document.documentElement).direction === 'rtl';
+    }
+
+    // The page images on screen in reading order: two for a two-page spread.
+    // Images laid out off screen or hidden (prefetched pages) are left out;
+    // when none can be measured, the first candidate is used.
+    function findPageImages() {
         // Primary selector used by VitalSource
-        const primary = document.querySelector('img#pbk-page');
-        if (primary) return primary;
+        let images = [...document.querySelectorAll('img#pbk-page')];
 
         // Fallback: look for large images that are likely book page renders
-        const images = document.querySelectorAll('img');
-        for (const img of images) {
-            if (img.naturalWidth > 400 && img.naturalHeight > 400) {
-                return img;
-            }
+        if (images.length === 0) {
+            images = [...document.querySelectorAll('img')].filter((img) => img.naturalWidth > 400 && img.naturalHeight > 400);
         }
 
-        return null;
+        const shown = images.filter((img) => {
+            const rect = img.getBoundingClientRect();
+            return rect.width > 0 && rect.height > 0 && rect.right > 0 && rect.left < window.innerWidth &&
+                getComputedStyle(img).visibility !== 'hidden';
+        });
+        if (shown.length === 0) return images.slice(0, 1);
+
+        const direction = isRightToLeft() ? -1 : 1;
+        return shown.sort((a, b) => direction * (a.getBoundingClientRect().left - b.getBoundingClientRect().left));
+    }
+
+    function findPageImage() {
+        return findPageImages()[0] || null;
     }
 
     function hasPageImage() {
         return !!findPageImage();
     }
 
-    function sendToParent(message) {
+    // Reflowable (EPUB-style) books render each chapter as an HTML document
+    // with no page image. The top-level reader page never counts.
+    function hasReadableText() {
+        if (window === window.top || findPageImage() || !document.body) return false;
+        return document.querySelectorAll('p').length >= 3 || document.body.innerText.trim().length > 500;
+    }
+
+    // What this frame shows: the page image's URL, or for reflowable books
+    // the chapter document's
+    function getPageIdentity() {
+        const img = findPageImage();
+        if (img) return img.currentSrc || img.src || null;
+        return hasReadableText() ? currentUrl : null;
+    }
+
+    // Share of the page image (or chapter text) inside the browser viewport,
+    // so the top page can tell the page on screen from prefetched or hidden
+    // ones. Kept up to date by an IntersectionObserver, whose viewport is
+    // the top-level one even from inside nested frames.
+    let visibleRatio = 1;
+    let observed = null;
+    const visibilityObserver = 'IntersectionObserver' in window
+        ? new IntersectionObserver((entries) => { visibleRatio = entries[entries.length - 1].intersectionRatio; })
+        : null;
+
+    function getVisibility() {
+        const target = findPageImage() || document.body;
+        if (visibilityObserver && target && target !== observed) {
+            if (observed) visibilityObserver.unobserve(observed);
+            visibilityObserver.observe(target);
+            observed = target;
+        }
+        return document.visibilityState === 'hidden' ? 0 : visibleRatio;
+    }
+
+    function sendToParent(type, fields) {
+        if (!topOrigin || !isReaderOrigin(topOrigin)) return;
+        const message = create(type, { ...fields, frameId, nonce: session?.nonce, page: getPageIdentity() });
         try {
-            window.top.postMessage(message, '*');
+            window.top.postMessage(message, topOrigin);
         } catch {
-            window.parent.postMessage(message, '*');
+            window.parent.postMessage(message, topOrigin);
         }
     }
 
+    // Passes the top page's requests on to nested frames, each addressed to
+    // the origin its src points at
     function forwardToChildren(message) {
-        document.querySelectorAll('iframe').forEach((iframe) => {
-            try { iframe.contentWindow.postMessage(message, '*'); } catch {}
+        const iframes = [...document.querySelectorAll('iframe')];
+        const mosaicBook = document.querySelector('mosaic-book');
+        if (mosaicBook?.shadowRoot) iframes.push(...mosaicBook.shadowRoot.querySelectorAll('iframe'));
+
+        iframes.forEach((iframe) => {
+            const origin = getFrameOrigin(iframe);
+            if (!origin) return;
+            try { iframe.contentWindow.postMessage(message, origin); } catch {}
         });
+    }
 
-        const mosaicBook = document.querySelector('mosaic-book');
-        if (mosaicBook?.shadowRoot) {
-            mosaicBook.shadowRoot.querySelectorAll('iframe').forEach((iframe) => {
-                try { iframe.contentWindow.postMessage(message, '*'); } catch {}
-            });
+    // Scale factor for the encoded image: options.scale, or the largest size
+    // that fits options.box ({ width, height } in pixels; cover: fill it
+    // instead). Images are never enlarged.
+    function getEncodeScale(width, height, options) {
+        let scale = options.scale ?? 1;
+        if (options.box) {
+            const fit = options.box.cover ? Math.max : Math.min;
+            scale = fit(options.box.width / width, options.box.height / height);
+        }
+        return Math.min(1, scale);
+    }
+
+    // Share of the page that differs from the background below which a frame
+    // counts as blank (or still showing a loading spinner)
+    const BLANK_INK = 0.004;
+
+    // Luminance of the source drawn at width × height pixels
+    function sampleLuminance(source, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0, width, height);
+
+        const { data } = ctx.getImageData(0, 0, width, height);
+        const values = new Float32Array(width * height);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+        }
+        return values;
+    }
+
+    // Perceptual fingerprint of a page image: a 64-bit difference hash as hex
+    // (similar images differ in few bits) and the share of the page with ink
+    function fingerprintImage(source) {
+        const grid = sampleLuminance(source, 9, 8);
+        let hash = '';
+        for (let row = 0; row < 8; row++) {
+            let byte = 0;
+            for (let col = 0; col < 8; col++) {
+                byte = (byte << 1) | (grid[row * 9 + col] < grid[row * 9 + col + 1] ? 1 : 0);
+            }
+            hash += byte.toString(16).padStart(2, '0');
         }
+
+        const thumb = sampleLuminance(source, 64, 64);
+        const background = Float32Array.from(thumb).sort()[thumb.length >> 1];
+        const ink = thumb.filter((value) => Math.abs(value - background) > 24).length / thumb.length;
+        return { hash, ink, blank: ink < BLANK_INK };
     }
 
-    async function captureImage(img) {
+    // options: { format: 'jpeg' | 'png', quality (JPEG, 0–1), grayscale, scale | box }
+    async function captureImage(img, options = {}) {
         if (!img.complete || img.naturalWidth === 0) {
             await new Promise((resolve, reject) => {
                 const timeout = setTimeout(() => reject(new Error('Image load timeout')), 10000);
@@ -58,48 +176,386 @@
             });
         }
 
+        const { naturalWidth, naturalHeight } = img;
+        const scale = getEncodeScale(naturalWidth, naturalHeight, options);
+        const format = options.format === 'png' ? 'png' : 'jpeg';
+
         const canvas = document.createElement('canvas');
-        canvas.width = img.naturalWidth;
-        canvas.height = img.naturalHeight;
-        canvas.getContext('2d').drawImage(img, 0, 0);
+        canvas.width = Math.max(1, Math.round(naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(naturalHeight * scale));
+        const ctx = canvas.getContext('2d');
+        // White under transparent areas, which would otherwise turn black
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.imageSmoothingQuality = 'high';
+        if (options.grayscale) ctx.filter = 'grayscale(1)';
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
 
         return {
-            data: canvas.toDataURL('image/jpeg', 0.92),
-            width: img.naturalWidth,
-            height: img.naturalHeight,
+            src: img.currentSrc || img.src,
+            data: canvas.toDataURL(`image/${format}`, options.quality ?? 0.92),
+            format,
+            grayscale: !!options.grayscale,
+            width: canvas.width,
+            height: canvas.height,
+            naturalWidth,
+            naturalHeight,
+            fingerprint: fingerprintImage(canvas),
+        };
+    }
+
+    // The reader draws the user's highlights (and note markers) as overlays
+    // above the page image
+    const HIGHLIGHT_SELECTOR = '[data-annotation-id], [data-highlight-id], [class*="highlight" i], mark';
+
+    // First visible color of an overlay as [r, g, b] (0–255), or null
+    function getOverlayColor(el) {
+        const style = getComputedStyle(el);
+        for (const value of [style.backgroundColor, style.fill]) {
+            const parts = value?.match(/[\d.]+/g)?.map(Number);
+            if (parts?.length >= 3 && (parts[3] ?? 1) > 0) return parts.slice(0, 3);
+        }
+        return null;
+    }
+
+    // Highlights over the page image, as boxes in fractions of the image:
+    // [{ id, kind: 'highlight' | 'note', color, rects: [{ x, y, width, height }] }].
+    // Overlays sharing an annotation ID (one per line of a highlight) are
+    // one highlight; wrappers around other overlays are left out.
+    function findHighlights(img) {
+        const page = img.getBoundingClientRect();
+        if (page.width === 0 || page.height === 0) return [];
+
+        const highlights = new Map();
+        document.querySelectorAll(HIGHLIGHT_SELECTOR).forEach((el, index) => {
+            if (el === img || el.querySelector(HIGHLIGHT_SELECTOR)) return;
+            const rect = el.getBoundingClientRect();
+            const left = Math.max(rect.left, page.left);
+            const top = Math.max(rect.top, page.top);
+            const right = Math.min(rect.right, page.right);
+            const bottom = Math.min(rect.bottom, page.bottom);
+            if (right <= left || bottom <= top) return;
+
+            const id = el.dataset.annotationId || el.dataset.highlightId || null;
+            const key = id || `#${index}`;
+            if (!highlights.has(key)) {
+                const kind = /note/i.test(`${el.getAttribute('class')} ${el.dataset.annotationType || ''}`) ? 'note' : 'highlight';
+                highlights.set(key, { id, kind, color: getOverlayColor(el), rects: [] });
+            }
+            highlights.get(key).rects.push({
+                x: (left - page.left) / page.width,
+                y: (top - page.top) / page.height,
+                width: (right - left) / page.width,
+                height: (bottom - top) / page.height,
+            });
+        });
+        return [...highlights.values()];
+    }
+
+    const BLOCK_TAGS = /^(P|DIV|H[1-6]|LI|BLOCKQUOTE|PRE|FIGURE|FIGCAPTION|SECTION|ARTICLE|ASIDE|HEADER|FOOTER|TABLE|TR|UL|OL|DL|DT|DD|HR)$/;
+
+    // Flattens the chapter DOM into blocks of styled text runs plus images:
+    // [{ type: 'heading' | 'paragraph' | 'list-item' | 'preformatted', level, runs: [{ text, bold, italic }] },
+    //  { type: 'image', element }]
+    function collectBlocks(root) {
+        const blocks = [];
+        let current = null;
+
+        const flush = () => {
+            if (current && current.runs.some((run) => run.text.trim())) blocks.push(current);
+            current = null;
+        };
+
+        const walk = (node, style) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (!current) current = { type: 'paragraph', runs: [] };
+                current.runs.push({ text: node.textContent, ...style });
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE || /^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE)$/.test(node.tagName)) return;
+
+            const computed = getComputedStyle(node);
+            if (computed.display === 'none' || computed.visibility === 'hidden') return;
+
+            const tag = node.tagName;
+            if (tag === 'IMG') {
+                flush();
+                if (node.naturalWidth >= 32 && node.naturalHeight >= 32) blocks.push({ type: 'image', element: node });
+                return;
+            }
+            if (tag === 'BR') {
+                if (current) current.runs.push({ text: '\n', ...style });
+                return;
+            }
+
+            const weight = computed.fontWeight;
+            const childStyle = {
+                bold: weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 600,
+                italic: computed.fontStyle === 'italic' || computed.fontStyle.startsWith('oblique'),
+            };
+            const isBlock = BLOCK_TAGS.test(tag) || computed.display === 'block' || computed.display === 'list-item';
+            if (isBlock) {
+                flush();
+                const heading = tag.match(/^H([1-6])$/);
+                current = {
+                    type: heading ? 'heading' : tag === 'LI' ? 'list-item' : tag === 'PRE' ? 'preformatted' : 'paragraph',
+                    level: heading ? parseInt(heading[1], 10) : 0,
+                    runs: [],
+                };
+            }
+
+            node.childNodes.forEach((child) => walk(child, childStyle));
+            if (isBlock) flush();
+        };
+
+        walk(root, { bold: false, italic: false });
+        flush();
+        return blocks;
+    }
+
+    // Chapter content for reflowable books, with inline images encoded the
+    // same way as page images (but never downscaled). Images that can't be
+    // read are left out.
+    async function captureText(options) {
+        const { scale, box, ...imageOptions } = options;
+        const blocks = [];
+        for (const block of collectBlocks(document.body)) {
+            if (block.type !== 'image') {
+                blocks.push(block);
+                continue;
+            }
+            try {
+                blocks.push({ type: 'image', ...(await captureImage(block.element, imageOptions)) });
+            } catch (error) {
+                console.warn('[VS-PDF] Skipping unreadable image:', error.message);
+            }
+        }
+
+        const heading = blocks.find((block) => block.type === 'heading');
+        const title = heading ? heading.runs.map((run) => run.text).join('').replace(/\s+/g, ' ').trim() : document.title;
+        return { kind: 'text', url: currentUrl, title, blocks };
+    }
+
+    // Region clips — a selection layer over each page image on screen. The
+    // region the user drags out is cut from the image at its full source
+    // resolution, whatever size the reader shows it at.
+    const CLIP_MIN_SIZE = 8; // Smallest drag, in screen pixels, that makes a selection
+    const CLIP_COLOR = '74, 144, 217';
+    let clipSession = null; // { requestId, layers, cleanup }
+
+    // region: { x, y, width, height } as fractions of the image. Always PNG,
+    // so text and lines in figures stay sharp.
+    function clipImage(img, region) {
+        const { naturalWidth, naturalHeight } = img;
+        const x = Math.round(region.x * naturalWidth);
+        const y = Math.round(region.y * naturalHeight);
+        const width = Math.max(1, Math.round((region.x + region.width) * naturalWidth) - x);
+        const height = Math.max(1, Math.round((region.y + region.height) * naturalHeight) - y);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(img, x, y, width, height, 0, 0, width, height);
+
+        return { src: img.currentSrc || img.src, data: canvas.toDataURL('image/png'), format: 'png', width, height, naturalWidth, naturalHeight, region };
+    }
+
+    function endClip() {
+        if (!clipSession) return;
+        clipSession.layers.forEach((layer) => layer.remove());
+        clipSession.cleanup();
+        clipSession = null;
+    }
+
+    function startClip(requestId) {
+        endClip();
+        const images = findPageImages().filter((img) => img.complete && img.naturalWidth > 0);
+        if (images.length === 0) return;
+
+        const finish = (fields) => {
+            endClip();
+            sendToParent('VS_REGION_CLIPPED', { requestId, ...fields });
+        };
+
+        const layers = images.map((img, index) => {
+            const layer = document.createElement('div');
+            layer.style.cssText = `position: fixed; z-index: 2147483647; cursor: crosshair; touch-action: none;
+                background: rgba(${CLIP_COLOR}, 0.08); outline: 2px dashed rgb(${CLIP_COLOR}); outline-offset: -2px;`;
+            const box = document.createElement('div');
+            box.style.cssText = `position: absolute; display: none; border: 2px solid rgb(${CLIP_COLOR});
+                background: rgba(${CLIP_COLOR}, 0.2); box-sizing: border-box; pointer-events: none;`;
+            layer.appendChild(box);
+
+            let start = null;
+            const getBox = (e) => {
+                const rect = layer.getBoundingClientRect();
+                const x = Math.min(Math.max(e.clientX - rect.left, 0), rect.width);
+                const y = Math.min(Math.max(e.clientY - rect.top, 0), rect.height);
+                return {
+                    left: Math.min(start.x, x), top: Math.min(start.y, y),
+                    width: Math.abs(x - start.x), height: Math.abs(y - start.y), rect,
+                };
+            };
+            layer.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                layer.setPointerCapture(e.pointerId);
+                const rect = layer.getBoundingClientRect();
+                start = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+            });
+            layer.addEventListener('pointermove', (e) => {
+                if (!start) return;
+                const { left, top, width, height } = getBox(e);
+                Object.assign(box.style, { display: 'block', left: `${left}px`, top: `${top}px`, width: `${width}px`, height: `${height}px` });
+            });
+            layer.addEventListener('pointerup', (e) => {
+                if (!start) return;
+                const { left, top, width, height, rect } = getBox(e);
+                start = null;
+                // A click or a slip of the mouse starts over
+                if (width < CLIP_MIN_SIZE || height < CLIP_MIN_SIZE) {
+                    box.style.display = 'none';
+                    return;
+                }
+                const region = { x: left / rect.width, y: top / rect.height, width: width / rect.width, height: height / rect.height };
+                try {
+                    finish({ success: true, data: { image: clipImage(img, region), index, count: images.length, rtl: isRightToLeft() } });
+                } catch (error) {
+                    finish({ success: false, error: error.message });
+                }
+            });
+
+            document.documentElement.appendChild(layer);
+            return layer;
+        });
+
+        // The layers follow their images when the reader scrolls or resizes
+        const place = () => images.forEach((img, i) => {
+            const rect = img.getBoundingClientRect();
+            Object.assign(layers[i].style, { left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+        });
+        const onKey = (e) => {
+            if (e.key !== 'Escape') return;
+            e.preventDefault();
+            e.stopPropagation();
+            finish({ success: false, cancelled: true });
+        };
+        place();
+        window.addEventListener('scroll', place, true);
+        window.addEventListener('resize', place);
+        document.addEventListener('keydown', onKey, true);
+        clipSession = {
+            requestId,
+            layers,
+            cleanup: () => {
+                window.removeEventListener('scroll', place, true);
+                window.removeEventListener('resize', place);
+                document.removeEventListener('keydown', onKey, true);
+            },
         };
     }
 
-    // Accept messages from any origin since parent page and iframes
-    // may be on different domains (school subdomains, CDNs, etc.)
+    // Requests come from the top page, sent directly or forwarded by the
+    // parent frame, which may be on another domain (a CDN or a school's
+    // subdomain). They are only taken from a reader page, checked by its
+    // origin and, once the first has arrived, by its session nonce.
     window.addEventListener('message', async (event) => {
-        const { type, requestId } = event.data || {};
-        if (!type || !type.startsWith('VS_') || !requestId) return;
+        const message = parse(event.data);
+        if (!message || !isRequest(message)) return;
+        if (event.source !== window.top && event.source !== window.parent) return;
+        if (event.source === window.top) topOrigin ??= event.origin;
+        if (event.source === window.top && event.origin !== topOrigin) return;
+        if (!topOrigin || message.origin !== topOrigin || !isReaderOrigin(topOrigin)) return;
+
+        const { type, requestId, options = {} } = message;
+        if (!session) {
+            session = { nonce: message.nonce };
+            // Images reported before the top page was known went nowhere
+            reportedSrc = null;
+            reportPageImage();
+        } else if (message.nonce !== session.nonce) {
+            return;
+        }
+        forwardToChildren(event.data);
+        if (type === 'VS_CLIP_END') {
+            if (clipSession?.requestId === requestId) endClip();
+            return;
+        }
+        // Captures can be addressed to one frame
+        if (message.frameId && message.frameId !== frameId) return;
 
+        // Replies with every page image on screen, each with its position so
+        // the top page can order pages captured from several frames
         if (type === 'VS_CAPTURE_PAGE') {
-            const pageImg = findPageImage();
-            if (pageImg) {
+            const pageImages = findPageImages();
+            if (pageImages.length > 0) {
                 try {
-                    const imageData = await captureImage(pageImg);
-                    sendToParent({ type: 'VS_PAGE_CAPTURED', requestId, success: true, data: imageData });
+                    const images = [];
+                    for (const img of pageImages) {
+                        images.push({
+                            ...(await captureImage(img, options)),
+                            left: img.getBoundingClientRect().left,
+                            highlights: findHighlights(img),
+                        });
+                    }
+                    sendToParent('VS_PAGE_CAPTURED', { requestId, success: true, data: { images, rtl: isRightToLeft() } });
                 } catch (error) {
-                    sendToParent({ type: 'VS_PAGE_CAPTURED', requestId, success: false, error: error.message });
+                    sendToParent('VS_PAGE_CAPTURED', { requestId, success: false, error: error.message });
                 }
             }
-            forwardToChildren(event.data);
         }
 
+        if (type === 'VS_CAPTURE_TEXT') {
+            if (hasReadableText()) {
+                try {
+                    sendToParent('VS_PAGE_CAPTURED', { requestId, success: true, data: await captureText(options) });
+                } catch (error) {
+                    sendToParent('VS_PAGE_CAPTURED', { requestId, success: false, error: error.message });
+                }
+            }
+        }
+
+        if (type === 'VS_CLIP_START') startClip(requestId);
+
         if (type === 'VS_PING') {
-            sendToParent({ type: 'VS_PONG', requestId, hasImage: hasPageImage(), url: currentUrl });
-            forwardToChildren(event.data);
+            sendToParent('VS_PONG', {
+                requestId, hasImage: hasPageImage(), hasText: hasReadableText(), visibility: getVisibility(), url: currentUrl,
+            });
         }
     });
 
+    // Report every new page image once it has finished loading, so the top
+    // page can tell when navigation has really reached the next page
+    let reportedSrc = null;
+    function reportPageImage() {
+        const img = findPageImage();
+        if (!session || !img || !img.complete || img.naturalWidth === 0) return;
+
+        const src = img.currentSrc || img.src;
+        if (src === reportedSrc) return;
+        reportedSrc = src;
+        sendToParent('VS_PAGE_LOADED', { visibility: getVisibility(), url: currentUrl });
+    }
+
+    // load doesn't bubble, so listen in the capture phase
+    document.addEventListener('load', (event) => {
+        if (event.target.tagName === 'IMG') reportPageImage();
+    }, true);
+    new MutationObserver(reportPageImage).observe(document.documentElement, {
+        subtree: true, childList: true, attributes: true, attributeFilter: ['src'],
+    });
+    reportPageImage();
+
     // Announce readiness multiple times for late-loading content
     const announceReady = () => {
-        sendToParent({ type: 'VS_IFRAME_READY', hasImage: hasPageImage(), url: currentUrl });
+        sendToParent('VS_IFRAME_READY', {
+            hasImage: hasPageImage(), hasText: hasReadableText(), visibility: getVisibility(), url: currentUrl,
+        });
     };
     [100, 500, 1000, 2000].forEach((delay) => setTimeout(announceReady, delay));
 
-    console.log('[VS-PDF] Iframe script loaded:', { url: currentUrl, hasImage: hasPageImage() });
+    getVisibility();
+    console.log('[VS-PDF] Iframe script loaded:', { url: currentUrl, frameId, hasImage: hasPageImage() });
 })();
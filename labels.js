@@ -0,0 +1,100 @@
+/**
+ * VitalSource PDF Downloader - Page Labels
+ * The reader's page labels ("12", "xii", "C-19", or "12-13" for a spread):
+ * comparing them, counting the pages between two of them and working out
+ * the labels of the pages that follow one.
+ */
+
+(function () {
+    'use strict';
+
+    // Page labels: compared case-insensitively ("XII" and "xii" are the same page)
+    function normalizeLabel(label) {
+        return String(label || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    function romanToInt(roman) {
+        const values = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+        let total = 0;
+        for (let i = 0; i < roman.length; i++) {
+            const value = values[roman[i]];
+            const next = values[roman[i + 1]] || 0;
+            total += value < next ? -value : value;
+        }
+        return total;
+    }
+
+    // Splits a label like "C-19" or "xii" into prefix and ordinal so ranges
+    // can be sized. Returns null for labels that don't follow either pattern.
+    function parsePageLabel(label) {
+        const norm = normalizeLabel(label);
+
+        const numeric = norm.match(/^(.*?)(\d+)$/);
+        if (numeric) return { prefix: numeric[1], value: parseInt(numeric[2], 10), roman: false };
+
+        const roman = norm.match(/^(.*?[^a-z]|)([ivxlcdm]+)$/);
+        if (roman) return { prefix: roman[1], value: romanToInt(roman[2]), roman: true };
+
+        return null;
+    }
+
+    // Whether label is boundary or a page after it. Labels that can't be
+    // ordered against each other (front matter against body pages, say) only
+    // match exactly. A spread's range ("12-13") counts from its first page.
+    function isAtOrPastLabel(label, boundary) {
+        if (normalizeLabel(label) === normalizeLabel(boundary)) return true;
+        const range = String(label ?? '').match(/^(.+?)\s*[-–—]\s*(.+)$/);
+        const first = range && estimateRangeLength(range[1], range[2]) > 1 ? range[1] : label;
+        if (normalizeLabel(first) === normalizeLabel(boundary)) return true;
+        const page = parsePageLabel(first);
+        const end = parsePageLabel(boundary);
+        return !!page && !!end && page.prefix === end.prefix && page.roman === end.roman && page.value >= end.value;
+    }
+
+    function intToRoman(value) {
+        const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+            [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+        let roman = '';
+        for (const [amount, numeral] of numerals) {
+            for (; value >= amount; value -= amount) roman += numeral;
+        }
+        return roman;
+    }
+
+    // The label offset pages after label, keeping its prefix and case
+    // ("C-19" + 1 is "C-20", "XII" + 1 is "XIII"). Labels that can't be
+    // counted come back unchanged.
+    function offsetLabel(label, offset) {
+        if (offset === 0) return label;
+
+        const numeric = label.match(/^(.*?)(\d+)$/);
+        if (numeric) return numeric[1] + (parseInt(numeric[2], 10) + offset);
+
+        const roman = label.match(/^(.*?[^a-z]|)([ivxlcdm]+)$/i);
+        if (roman) {
+            const value = intToRoman(romanToInt(roman[2].toLowerCase()) + offset);
+            return roman[1] + (roman[2] === roman[2].toUpperCase() ? value.toUpperCase() : value);
+        }
+        return label;
+    }
+
+    // Labels for the count pages of a spread. The reader names a spread
+    // either by its range ("12-13") or by its first page ("12").
+    function getSpreadLabels(label, count) {
+        if (count === 1) return [label];
+        const range = label.match(/^(.+?)\s*[-–—]\s*(.+)$/);
+        const first = range && estimateRangeLength(range[1], range[2]) === count ? range[1] : label;
+        return Array.from({ length: count }, (_, i) => offsetLabel(first, i));
+    }
+
+    // Expected number of pages from start to end (inclusive), or null when the
+    // labels aren't comparable (different prefixes, mixed roman/arabic, etc.)
+    function estimateRangeLength(startLabel, endLabel) {
+        const start = parsePageLabel(startLabel);
+        const end = parsePageLabel(endLabel);
+        if (!start || !end || start.prefix !== end.prefix || start.roman !== end.roman) return null;
+        return end.value - start.value + 1;
+    }
+
+    globalThis.VsLabels = { normalizeLabel, parsePageLabel, isAtOrPastLabel, offsetLabel, getSpreadLabels, estimateRangeLength };
+})();
@@ -0,0 +1,67 @@
+/**
+ * VitalSource PDF Downloader - OCR Frame
+ * Loaded by content.js as a hidden iframe so the bundled Tesseract engine
+ * and language data come from the extension itself and work offline.
+ * Recognizes page images posted by the parent and replies with word boxes.
+ */
+
+(function () {
+    'use strict';
+
+    let workerPromise = null;
+    let currentRequestId = null;
+    let queue = Promise.resolve();
+
+    // The reader page that loaded this frame; replies only go to it
+    const parentOrigin = window.location.ancestorOrigins?.[0];
+
+    function reply(message) {
+        if (parentOrigin) window.parent.postMessage(message, parentOrigin);
+    }
+
+    function getWorker() {
+        if (!workerPromise) {
+            workerPromise = Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+                workerPath: chrome.runtime.getURL('tesseract/worker.min.js'),
+                corePath: chrome.runtime.getURL('tesseract'),
+                langPath: chrome.runtime.getURL('tesseract'),
+                workerBlobURL: false,
+                cacheMethod: 'none',
+                logger: (m) => {
+                    if (currentRequestId && m.status === 'recognizing text') {
+                        reply({ type: 'VS_OCR_PROGRESS', requestId: currentRequestId, progress: m.progress });
+                    }
+                },
+            });
+            workerPromise.catch(() => { workerPromise = null; });
+        }
+        return workerPromise;
+    }
+
+    async function recognize(requestId, image) {
+        currentRequestId = requestId;
+        try {
+            const worker = await getWorker();
+            const { data } = await worker.recognize(image);
+            const words = data.words
+                .filter((word) => word.text.trim())
+                .map(({ text, bbox, confidence }) => ({ text, bbox, confidence }));
+            reply({ type: 'VS_OCR_RESULT', requestId, success: true, words });
+        } catch (error) {
+            reply({ type: 'VS_OCR_RESULT', requestId, success: false, error: error.message || String(error) });
+        } finally {
+            currentRequestId = null;
+        }
+    }
+
+    // Pages are recognized one at a time, in the order they arrive
+    window.addEventListener('message', (event) => {
+        if (event.source !== window.parent) return;
+        const { type, requestId, image } = event.data || {};
+        if (type !== 'VS_OCR' || !requestId) return;
+
+        queue = queue.then(() => recognize(requestId, image));
+    });
+
+    reply({ type: 'VS_OCR_READY' });
+})();
@@ -0,0 +1,121 @@
+/**
+ * VitalSource PDF Downloader - Options Page
+ * Edits the saved defaults (see settings.js). Every change is validated and
+ * saved right away; open readers pick it up for their next capture.
+ */
+
+(function () {
+    'use strict';
+
+    const $ = (id) => document.getElementById(id);
+
+    // Number from a field, or fallback when it's empty or out of range
+    function readNumber(id, fallback, min, max = Infinity) {
+        const value = parseFloat($(id).value);
+        return Number.isFinite(value) && value >= min && value <= max ? value : fallback;
+    }
+
+    function fillForm(settings) {
+        const { pageSetup, image, navigation } = settings;
+
+        $('page-limit').value = settings.pageLimit;
+        $('filename-template').value = settings.filenameTemplate;
+        $('format').value = settings.format;
+        $('split').checked = !!settings.chunkSize;
+        $('chunk-size').value = settings.chunkSize || 50;
+
+        $('page-size').value = pageSetup.size;
+        $('custom-width').value = pageSetup.customWidth;
+        $('custom-height').value = pageSetup.customHeight;
+        $('page-fit').value = pageSetup.fit;
+        $('page-dpi').value = pageSetup.dpi;
+        $('page-margin').value = pageSetup.margin;
+        $('page-spreads').value = pageSetup.spreads;
+
+        $('image-format').value = image.format;
+        $('image-quality').value = image.quality;
+        $('image-dpi').value = image.dpi ?? '';
+        $('image-grayscale').checked = image.grayscale;
+        $('image-trim').checked = image.trimMargins;
+        $('image-enhance').checked = image.enhance;
+        $('image-tone').value = image.tone;
+
+        $('timeout-min').value = navigation.timeoutMin / 1000;
+        $('timeout-max').value = navigation.timeoutMax / 1000;
+        updateVisibility();
+    }
+
+    function readForm() {
+        const defaults = VsSettings.getDefaults();
+        const timeoutMin = readNumber('timeout-min', defaults.navigation.timeoutMin / 1000, 1) * 1000;
+        const timeoutMax = readNumber('timeout-max', defaults.navigation.timeoutMax / 1000, 1) * 1000;
+
+        return {
+            pageLimit: Math.round(readNumber('page-limit', defaults.pageLimit, 1)),
+            filenameTemplate: $('filename-template').value.trim() || defaults.filenameTemplate,
+            format: $('format').value,
+            chunkSize: $('split').checked ? Math.round(readNumber('chunk-size', 50, 1)) : null,
+            pageSetup: {
+                size: $('page-size').value,
+                customWidth: readNumber('custom-width', defaults.pageSetup.customWidth, 1),
+                customHeight: readNumber('custom-height', defaults.pageSetup.customHeight, 1),
+                fit: $('page-fit').value,
+                dpi: readNumber('page-dpi', defaults.pageSetup.dpi, 36),
+                margin: readNumber('page-margin', defaults.pageSetup.margin, 0),
+                spreads: $('page-spreads').value,
+            },
+            image: {
+                format: $('image-format').value,
+                quality: Math.round(readNumber('image-quality', defaults.image.quality, 1, 100)),
+                grayscale: $('image-grayscale').checked,
+                dpi: $('image-dpi').value.trim() ? readNumber('image-dpi', null, 36) : null,
+                trimMargins: $('image-trim').checked,
+                enhance: $('image-enhance').checked,
+                tone: $('image-tone').value,
+            },
+            // A maximum below the minimum is taken as both being the same
+            navigation: { timeoutMin, timeoutMax: Math.max(timeoutMin, timeoutMax) },
+        };
+    }
+
+    // Shows only the fields that apply to the current choices, as the capture dialog does
+    function updateVisibility() {
+        const size = $('page-size').value;
+        $('custom-size').hidden = size !== 'custom';
+        $('fit-group').hidden = size === 'source';
+        $('dpi-group').hidden = size !== 'source' && $('page-fit').value !== 'actual';
+        $('quality-group').hidden = $('image-format').value !== 'jpeg';
+        $('chunk-size').disabled = !$('split').checked;
+    }
+
+    function showSaved(message, isError = false) {
+        $('saved').textContent = message;
+        $('saved').className = isError ? 'error' : '';
+    }
+
+    async function save(settings) {
+        try {
+            await VsSettings.save(settings);
+            showSaved('Saved.');
+        } catch (e) {
+            showSaved(`Could not save: ${e.message}`, true);
+        }
+    }
+
+    document.querySelectorAll('input, select').forEach((field) => {
+        field.addEventListener('change', () => {
+            updateVisibility();
+            const settings = readForm();
+            save(settings);
+            // Show what was actually saved when a value was out of range
+            fillForm(settings);
+        });
+    });
+    $('restore').addEventListener('click', async () => {
+        const defaults = VsSettings.getDefaults();
+        fillForm(defaults);
+        await save(defaults);
+    });
+
+    VsSettings.load().then(fillForm);
+})();
@@ -0,0 +1,438 @@
+/**
+ * VitalSource PDF Downloader - Streaming PDF Writer
+ * Builds image PDFs page by page into a Blob. Page images are passed in as
+ * Blobs and referenced rather than copied, so memory stays flat no matter
+ * how many pages go into one file (jsPDF keeps the whole document in memory
+ * until it is saved).
+ */
+
+(function () {
+    'use strict';
+
+    // Numbers in content streams: short, and never in exponent notation
+    function num(n) {
+        return String(Math.round(n * 100) / 100);
+    }
+
+    // PDF text string; anything outside printable ASCII is written as UTF-16BE hex
+    function pdfString(text) {
+        text = String(text);
+        if (/^[\x20-\x7e]*$/.test(text)) return `(${text.replace(/[\\()]/g, '\\$&')})`;
+
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+        return `<${hex}>`;
+    }
+
+    // Windows-1252 codes for the characters outside Latin-1 that WinAnsiEncoding covers
+    const WIN_ANSI_EXTRAS = {
+        '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+        '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+        '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+        'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+    };
+
+    // Hex string in WinAnsiEncoding for the standard Helvetica font; characters
+    // it can't represent become '?'
+    function winAnsiHex(text) {
+        let hex = '';
+        for (const char of text) {
+            const code = char.charCodeAt(0);
+            const byte = (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) ? code : (WIN_ANSI_EXTRAS[char] ?? 0x3f);
+            hex += byte.toString(16).padStart(2, '0');
+        }
+        return `<${hex}>`;
+    }
+
+    // /PageLabels number tree entries, one per page ('' = no label, show the physical number)
+    function pageLabelNums(labels) {
+        return labels.map((label, i) => (
+            label ? `${i} << /P ${pdfString(label)} >>` : `${i} << /S /D /St ${i + 1} >>`
+        )).join(' ');
+    }
+
+    const PRODUCER = 'VitalSource PDF Downloader';
+    const HIGHLIGHT_COLOR = [255, 235, 59]; // Yellow, for highlights whose color isn't known
+    const NOTE_ICON = 20; // Size of the sticky note icon, in points
+
+    // Dates as the Info dictionary writes them: D:YYYYMMDDHHmmSS+HH'mm'
+    function pdfDate(date) {
+        const pad = (n) => String(Math.abs(n)).padStart(2, '0');
+        const offset = -date.getTimezoneOffset();
+        return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}` +
+            `${offset < 0 ? '-' : '+'}${pad(Math.trunc(offset / 60))}'${pad(offset % 60)}'`;
+    }
+
+    // Local time with its UTC offset, as XMP expects
+    function xmpDate(date) {
+        const info = pdfDate(date);
+        return `${info.slice(2, 6)}-${info.slice(6, 8)}-${info.slice(8, 10)}T${info.slice(10, 12)}:${info.slice(12, 14)}:` +
+            `${info.slice(14, 16)}${info.slice(16, 19)}:${info.slice(20, 22)}`;
+    }
+
+    function xmlEscape(text) {
+        return String(text).replace(/[<>&"]/g, (char) => `&#${char.charCodeAt(0)};`);
+    }
+
+    // Info dictionary entries. Publisher, ISBN and Edition aren't standard keys
+    // but are kept by PDF tools and shown by some document managers.
+    function infoEntries(metadata, date) {
+        const { title, authors = [], publisher, isbn, edition } = metadata;
+        const entries = { Producer: PRODUCER, Creator: PRODUCER, CreationDate: pdfDate(date) };
+        if (title) entries.Title = title;
+        if (authors.length > 0) entries.Author = authors.join('; ');
+        const subject = pageRangeText(metadata);
+        if (subject) entries.Subject = subject;
+        if (publisher) entries.Publisher = publisher;
+        if (isbn) entries.ISBN = isbn;
+        if (edition) entries.Edition = edition;
+        return Object.entries(entries).map(([key, value]) => `/${key} ${pdfString(value)}`).join(' ');
+    }
+
+    function pageRangeText({ firstPage, lastPage }) {
+        if (!firstPage) return '';
+        return !lastPage || lastPage === firstPage ? `Page ${firstPage}` : `Pages ${firstPage}–${lastPage}`;
+    }
+
+    // XMP packet with the same details in Dublin Core, and the publishing
+    // details (ISBN, edition, page range) in PRISM, which reference managers read
+    function xmpPacket(metadata, date) {
+        const { title, authors = [], publisher, isbn, edition, firstPage, lastPage } = metadata;
+        const element = (name, value) => (value ? `<${name}>${xmlEscape(value)}</${name}>` : '');
+        const list = (name, type, values) => (values.length > 0
+            ? `<${name}><rdf:${type}>${values.map((value) => `<rdf:li>${xmlEscape(value)}</rdf:li>`).join('')}</rdf:${type}></${name}>`
+            : '');
+        const alt = (name, value) => (value
+            ? `<${name}><rdf:Alt><rdf:li xml:lang="x-default">${xmlEscape(value)}</rdf:li></rdf:Alt></${name}>`
+            : '');
+
+        const properties = [
+            element('dc:format', 'application/pdf'),
+            alt('dc:title', title),
+            list('dc:creator', 'Seq', authors),
+            alt('dc:description', pageRangeText(metadata)),
+            list('dc:publisher', 'Bag', publisher ? [publisher] : []),
+            element('dc:identifier', isbn && `urn:isbn:${isbn}`),
+            element('prism:isbn', isbn),
+            element('prism:edition', edition),
+            element('prism:pageRange', firstPage && lastPage && lastPage !== firstPage ? `${firstPage}-${lastPage}` : firstPage),
+            element('prism:startingPage', firstPage),
+            element('prism:endingPage', lastPage),
+            element('pdf:Producer', PRODUCER),
+            element('xmp:CreatorTool', PRODUCER),
+            element('xmp:CreateDate', xmpDate(date)),
+            element('xmp:MetadataDate', xmpDate(date)),
+        ];
+        return '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>\n' +
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+            '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:pdf="http://ns.adobe.com/pdf/1.3/" ' +
+            'xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:prism="http://prismstandard.org/namespaces/basic/2.0/">' +
+            properties.join('') +
+            '</rdf:Description></rdf:RDF></x:xmpmeta>\n<?xpacket end="w"?>';
+    }
+
+    // Lossless images (PNG) can't be embedded as they are, so they are decoded
+    // and their pixels deflated for /FlateDecode. Transparency is dropped.
+    async function flateImage(blob, grayscale = false) {
+        const bitmap = await createImageBitmap(blob);
+        const { width, height } = bitmap;
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const rgba = ctx.getImageData(0, 0, width, height).data;
+        const pixels = new Uint8Array(width * height * (grayscale ? 1 : 3));
+        for (let i = 0, j = 0; i < rgba.length; i += 4) {
+            pixels[j++] = rgba[i];
+            if (!grayscale) {
+                pixels[j++] = rgba[i + 1];
+                pixels[j++] = rgba[i + 2];
+            }
+        }
+
+        const data = await new Response(new Blob([pixels]).stream().pipeThrough(new CompressionStream('deflate'))).blob();
+        return { data, width, height, colorSpace: grayscale ? 'DeviceGray' : 'DeviceRGB', filter: 'FlateDecode' };
+    }
+
+    class PdfWriter {
+        constructor() {
+            // Header plus a binary comment so tools treat the file as binary
+            this.blob = new Blob(['%PDF-1.4\n', new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])]);
+            this.offsets = []; // byte offset of each object, by object number
+            this.objectCount = 0;
+            this.pagesId = this.allocate();
+            this.pageIds = [];
+        }
+
+        get pageCount() {
+            return this.pageIds.length;
+        }
+
+        allocate() {
+            return ++this.objectCount;
+        }
+
+        // Parts are ASCII strings, typed arrays or Blobs
+        append(...parts) {
+            this.blob = new Blob([this.blob, ...parts]);
+        }
+
+        writeObject(id, ...parts) {
+            this.offsets[id] = this.blob.size;
+            this.append(`${id} 0 obj\n`, ...parts, '\nendobj\n');
+        }
+
+        writeStream(id, dict, data) {
+            const length = typeof data === 'string' ? data.length : (data.size ?? data.byteLength);
+            this.writeObject(id, `<< ${dict} /Length ${length} >>\nstream\n`, data, '\nendstream');
+        }
+
+        // A standard font (Helvetica or Helvetica-Bold), written once and shared
+        // by every page that needs it
+        getFontId(name = 'Helvetica') {
+            this.fontIds ||= {};
+            if (!this.fontIds[name]) {
+                this.fontIds[name] = this.allocate();
+                this.writeObject(this.fontIds[name], `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`);
+            }
+            return this.fontIds[name];
+        }
+
+        // Highlight annotations over the image, with a sticky note beside any
+        // that carry a note; annotations of kind 'note' are a sticky note alone.
+        // Boxes are fractions of the image. Returns the annotation ids.
+        writeAnnotations(annotations, placement) {
+            const { pageHeight, x, y, width, height } = placement;
+            const ids = [];
+            for (const annotation of annotations) {
+                const boxes = annotation.rects.map((rect) => ({
+                    left: x + rect.x * width,
+                    right: x + (rect.x + rect.width) * width,
+                    top: pageHeight - (y + rect.y * height),
+                    bottom: pageHeight - (y + (rect.y + rect.height) * height),
+                }));
+                const color = (annotation.color || HIGHLIGHT_COLOR).map((channel) => num(channel / 255)).join(' ');
+                const contents = annotation.note ? ` /Contents ${pdfString(annotation.note)}` : '';
+                const first = boxes[0];
+
+                if (annotation.kind !== 'note') {
+                    const rect = [
+                        Math.min(...boxes.map((box) => box.left)), Math.min(...boxes.map((box) => box.bottom)),
+                        Math.max(...boxes.map((box) => box.right)), Math.max(...boxes.map((box) => box.top)),
+                    ];
+                    // Upper left, upper right, lower left, lower right of each line
+                    const quads = boxes.map((box) => [box.left, box.top, box.right, box.top, box.left, box.bottom, box.right, box.bottom]);
+                    const id = this.allocate();
+                    this.writeObject(
+                        id,
+                        `<< /Type /Annot /Subtype /Highlight /F 4 /Rect [${rect.map(num).join(' ')}] ` +
+                        `/QuadPoints [${quads.flat().map(num).join(' ')}] /C [${color}]${contents} >>`
+                    );
+                    ids.push(id);
+                    if (!annotation.note) continue;
+                }
+
+                // The note icon sits just left of the first line
+                const iconLeft = Math.max(0, first.left - NOTE_ICON);
+                const id = this.allocate();
+                this.writeObject(
+                    id,
+                    `<< /Type /Annot /Subtype /Text /F 4 /Name /Comment /Open false ` +
+                    `/Rect [${num(iconLeft)} ${num(first.top - NOTE_ICON)} ${num(iconLeft + NOTE_ICON)} ${num(first.top)}] ` +
+                    `/C [${color}]${contents} >>`
+                );
+                ids.push(id);
+            }
+            return ids;
+        }
+
+        // Invisible text (render mode 3) laid over the image, one run per OCR
+        // word, stretched horizontally to the word's box so selections line up
+        // with the picture. Word boxes are in image pixels.
+        textLayer(words, image, placement) {
+            const { pageHeight, x, y, width, height } = placement;
+            const scaleX = width / image.width;
+            const scaleY = height / image.height;
+
+            let ops = 'BT 3 Tr';
+            for (const word of words) {
+                const { x0, y0, x1, y1 } = word.bbox;
+                const size = Math.max((y1 - y0) * scaleY, 1);
+                const naturalWidth = word.text.length * size * 0.5; // rough Helvetica average advance
+                const stretch = naturalWidth > 0 ? ((x1 - x0) * scaleX / naturalWidth) * 100 : 100;
+                const baseline = pageHeight - (y + y1 * scaleY) + size * 0.2;
+                ops += ` /F1 ${num(size)} Tf ${num(stretch)} Tz 1 0 0 1 ${num(x + x0 * scaleX)} ${num(baseline)} Tm ${winAnsiHex(word.text)} Tj`;
+            }
+            return ops + ' ET';
+        }
+
+        // image: { data: Blob, width, height, colorSpace = 'DeviceRGB', filter = 'DCTDecode' }
+        // placement: { pageWidth, pageHeight, x, y, width, height, clip } in points, measured from the
+        // top left; clip ({ x, y, width, height }) crops an image drawn larger than its area;
+        // caption ({ text, size }) is set in Helvetica just under the image
+        // words: optional OCR result ([{ text, bbox: { x0, y0, x1, y1 } }]) for a searchable text layer
+        // annotations: [{ kind: 'highlight' | 'note', rects: [{ x, y, width, height }], color: [r, g, b], note }]
+        addImagePage(image, placement, words = null, annotations = []) {
+            const imageId = this.allocate();
+            const contentId = this.allocate();
+            const pageId = this.allocate();
+            const { pageWidth, pageHeight, x, y, width, height } = placement;
+            const hasText = words?.length > 0;
+
+            this.writeStream(
+                imageId,
+                `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                `/ColorSpace /${image.colorSpace || 'DeviceRGB'} /BitsPerComponent 8 /Filter /${image.filter || 'DCTDecode'}`,
+                image.data
+            );
+
+            const { clip } = placement;
+            const clipOps = clip ? `${num(clip.x)} ${num(pageHeight - clip.y - clip.height)} ${num(clip.width)} ${num(clip.height)} re W n ` : '';
+            let content = `q ${clipOps}${num(width)} 0 0 ${num(height)} ${num(x)} ${num(pageHeight - y - height)} cm /Im0 Do Q`;
+            if (hasText) content += '\n' + this.textLayer(words, image, placement);
+            const { caption } = placement;
+            if (caption) {
+                const baseline = pageHeight - y - height - caption.size * 1.6;
+                content += `\nBT /F1 ${num(caption.size)} Tf 1 0 0 1 ${num(x)} ${num(baseline)} Tm ${winAnsiHex(caption.text)} Tj ET`;
+            }
+            this.writeStream(contentId, '', content);
+
+            const fonts = hasText || caption ? ` /Font << /F1 ${this.getFontId()} 0 R >>` : '';
+            const annotIds = annotations.length > 0 ? this.writeAnnotations(annotations, placement) : [];
+            const annots = annotIds.length > 0 ? ` /Annots [${annotIds.map((id) => `${id} 0 R`).join(' ')}]` : '';
+            this.writeObject(
+                pageId,
+                `<< /Type /Page /Parent ${this.pagesId} 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] ` +
+                `/Resources << /XObject << /Im0 ${imageId} 0 R >>${fonts} >> /Contents ${contentId} 0 R${annots} >>`
+            );
+            this.pageIds.push(pageId);
+        }
+
+        // Pages of visible text in Helvetica, wrapped to the page with a one
+        // inch margin. Line widths are estimated from an average character
+        // width, so wrapping is approximate.
+        // blocks: [{ text, size = 11, bold = false, indent = 0 (points) }]
+        addTextPages(blocks, { width: pageWidth, height: pageHeight }) {
+            const margin = 72;
+            const lines = [];
+            for (const { text, size = 11, bold = false, indent = 0 } of blocks) {
+                const perLine = Math.max(10, Math.floor((pageWidth - margin * 2 - indent) / (size * (bold ? 0.55 : 0.5))));
+                let line = '';
+                for (const word of String(text).split(/\s+/).filter(Boolean)) {
+                    if (line && line.length + 1 + word.length > perLine) {
+                        lines.push({ text: line, size, bold, indent });
+                        line = '';
+                    }
+                    line = line ? `${line} ${word}` : word;
+                }
+                lines.push({ text: line, size, bold, indent, last: true });
+            }
+
+            let page = [];
+            let cursor = margin;
+            const flush = () => {
+                const contentId = this.allocate();
+                const pageId = this.allocate();
+                const ops = page.map(({ text, size, bold, indent, top }) => (
+                    `BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf 1 0 0 1 ${num(margin + indent)} ${num(pageHeight - top - size)} Tm ${winAnsiHex(text)} Tj ET`
+                ));
+                this.writeStream(contentId, '', ops.join('\n'));
+                this.writeObject(
+                    pageId,
+                    `<< /Type /Page /Parent ${this.pagesId} 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] ` +
+                    `/Resources << /Font << /F1 ${this.getFontId()} 0 R /F2 ${this.getFontId('Helvetica-Bold')} 0 R >> >> /Contents ${contentId} 0 R >>`
+                );
+                this.pageIds.push(pageId);
+                page = [];
+                cursor = margin;
+            };
+
+            for (const line of lines) {
+                const height = line.size * 1.3 + (line.last ? line.size * 0.6 : 0);
+                if (page.length > 0 && cursor + height > pageHeight - margin) flush();
+                page.push({ ...line, top: cursor });
+                cursor += height;
+            }
+            if (page.length > 0) flush();
+        }
+
+        // items: [{ title, pageIndex, children }]. Returns the first/last ids and
+        // the number of visible descendants, as the parent's dictionary needs them.
+        writeOutlineLevel(items, parentId) {
+            const ids = items.map(() => this.allocate());
+            let count = items.length;
+
+            items.forEach((item, i) => {
+                const entries = [
+                    `/Title ${pdfString(item.title)}`,
+                    `/Parent ${parentId} 0 R`,
+                    `/Dest [${this.pageIds[item.pageIndex]} 0 R /Fit]`,
+                ];
+                if (i > 0) entries.push(`/Prev ${ids[i - 1]} 0 R`);
+                if (i < ids.length - 1) entries.push(`/Next ${ids[i + 1]} 0 R`);
+
+                if (item.children.length > 0) {
+                    const children = this.writeOutlineLevel(item.children, ids[i]);
+                    entries.push(`/First ${children.first} 0 R /Last ${children.last} 0 R /Count ${children.count}`);
+                    count += children.count;
+                }
+
+                this.writeObject(ids[i], `<< ${entries.join(' ')} >>`);
+            });
+
+            return { first: ids[0], last: ids[ids.length - 1], count };
+        }
+
+        // Writes the document structure and trailer and returns the finished file.
+        // metadata: { title, authors, publisher, isbn, edition, firstPage, lastPage },
+        // any of which may be missing; it goes into both the Info dictionary and XMP.
+        finish({ pageLabels = null, outline = [], metadata = {} } = {}) {
+            this.writeObject(
+                this.pagesId,
+                `<< /Type /Pages /Kids [${this.pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${this.pageIds.length} >>`
+            );
+
+            const catalog = [`/Type /Catalog /Pages ${this.pagesId} 0 R`];
+            if (pageLabels) catalog.push(`/PageLabels << /Nums [${pageLabelNums(pageLabels)}] >>`);
+            if (outline.length > 0) {
+                const outlineId = this.allocate();
+                const top = this.writeOutlineLevel(outline, outlineId);
+                this.writeObject(outlineId, `<< /Type /Outlines /First ${top.first} 0 R /Last ${top.last} 0 R /Count ${top.count} >>`);
+                catalog.push(`/Outlines ${outlineId} 0 R /PageMode /UseOutlines`);
+            }
+
+            const date = new Date();
+            const infoId = this.allocate();
+            this.writeObject(infoId, `<< ${infoEntries(metadata, date)} >>`);
+
+            // XMP is UTF-8, so the stream length is counted in bytes
+            const metadataId = this.allocate();
+            this.writeStream(metadataId, '/Type /Metadata /Subtype /XML', new TextEncoder().encode(xmpPacket(metadata, date)));
+            catalog.push(`/Metadata ${metadataId} 0 R`);
+
+            const catalogId = this.allocate();
+            this.writeObject(catalogId, `<< ${catalog.join(' ')} >>`);
+
+            const xrefOffset = this.blob.size;
+            let xref = `xref\n0 ${this.objectCount + 1}\n0000000000 65535 f \n`;
+            for (let id = 1; id <= this.objectCount; id++) {
+                xref += `${String(this.offsets[id]).padStart(10, '0')} 00000 n \n`;
+            }
+            this.append(
+                xref,
+                `trailer\n<< /Size ${this.objectCount + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`,
+                `startxref\n${xrefOffset}\n%%EOF\n`
+            );
+
+            return new Blob([this.blob], { type: 'application/pdf' });
+        }
+    }
+
+    PdfWriter.pdfString = pdfString;
+    PdfWriter.pageLabelNums = pageLabelNums;
+    PdfWriter.flateImage = flateImage;
+
+    globalThis.PdfWriter = PdfWriter;
+})();
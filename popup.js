@@ -0,0 +1,77 @@
+/**
+ * VitalSource PDF Downloader - Popup
+ * Shows the capture status of the active tab's reader and opens the capture
+ * dialog or the options page.
+ */
+
+(function () {
+    'use strict';
+
+    const REFRESH_INTERVAL = 1000;
+
+    let tabId = null;
+
+    // Sends a message to the content script in the active tab. Resolves with
+    // null when the tab isn't a VitalSource reader.
+    async function sendToTab(type) {
+        if (tabId === null) {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab) return null;
+            tabId = tab.id;
+        }
+        try {
+            return await chrome.tabs.sendMessage(tabId, { type });
+        } catch {
+            return null;
+        }
+    }
+
+    function render(status) {
+        document.getElementById('no-book').hidden = !!status;
+        document.getElementById('book').hidden = !status;
+        if (!status) return;
+
+        document.getElementById('book-title').textContent = status.title || 'Untitled book';
+        document.getElementById('current-page').textContent = status.currentPage ? `Reader is on page ${status.currentPage}` : '';
+
+        let captured = '';
+        if (status.pageCount > 0) {
+            const range = status.firstPageLabel ? ` (pages ${status.firstPageLabel}–${status.lastPageLabel})` : '';
+            captured = `${status.pageCount} pages captured${range}`;
+            if (status.pendingPages > 0 && !status.isRunning) captured += `, ${status.pendingPages} not saved yet`;
+        }
+        document.getElementById('captured').textContent = captured;
+
+        const statusEl = document.getElementById('status');
+        statusEl.textContent = status.isAssembling ? 'Saving files…' : status.status.text;
+        statusEl.className = `status ${status.status.type}`;
+
+        document.getElementById('stop').hidden = !status.isRunning;
+        document.getElementById('open').textContent = status.isRunning ? 'Show progress' : 'Open capture dialog';
+    }
+
+    async function refresh() {
+        render(await sendToTab('VS_GET_STATUS'));
+    }
+
+    document.getElementById('open').addEventListener('click', async () => {
+        await sendToTab('VS_OPEN_MODAL');
+        window.close();
+    });
+    document.getElementById('stop').addEventListener('click', async () => {
+        render(await sendToTab('VS_STOP_CAPTURE'));
+    });
+    document.getElementById('options').addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+        window.close();
+    });
+
+    // Shortcuts are set in the browser's own page; extensions can open it in a tab
+    document.getElementById('shortcuts').addEventListener('click', () => {
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+        window.close();
+    });
+
+    refresh();
+    setInterval(refresh, REFRESH_INTERVAL);
+})();
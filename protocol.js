@@ -0,0 +1,146 @@
+/**
+ * VitalSource PDF Downloader - Messaging Protocol
+ * The messages exchanged between the top page (content.js) and the frames
+ * (iframe.js). Requests carry the top page's session nonce and frames echo
+ * it back along with their frame ID and the page they show, so the top page
+ * can tell frames apart and drop anything that isn't a reply to it.
+ * Messages are always addressed to a known origin, never '*'.
+ */
+
+(function () {
+    'use strict';
+
+    // Bumped when a message changes shape; frames still running an older
+    // script after the extension updates are ignored
+    const VERSION = 2;
+
+    // Field types per message type; a trailing ? marks an optional field
+    const SCHEMAS = {
+        // Top page → frames. frameId, when set, addresses a single frame.
+        VS_PING: { nonce: 'string', origin: 'string', requestId: 'string' },
+        VS_CAPTURE_PAGE: { nonce: 'string', origin: 'string', requestId: 'string', frameId: 'string?', options: 'object' },
+        VS_CAPTURE_TEXT: { nonce: 'string', origin: 'string', requestId: 'string', frameId: 'string?', options: 'object' },
+        // Shows the region selection over the frame's page images; VS_CLIP_END
+        // takes it down again in every frame once one has answered
+        VS_CLIP_START: { nonce: 'string', origin: 'string', requestId: 'string', frameId: 'string?' },
+        VS_CLIP_END: { nonce: 'string', origin: 'string', requestId: 'string' },
+
+        // Frames → top page. page identifies what the frame shows: the page
+        // image's URL, or the chapter document's for reflowable books.
+        VS_PONG: {
+            nonce: 'string', requestId: 'string', frameId: 'string',
+            hasImage: 'boolean', hasText: 'boolean', visibility: 'number', url: 'string', page: 'string?',
+        },
+        // data is { images: [...], rtl } for VS_CAPTURE_PAGE, with one image per
+        // page on screen, and the chapter content for VS_CAPTURE_TEXT
+        VS_PAGE_CAPTURED: {
+            nonce: 'string', requestId: 'string', frameId: 'string',
+            success: 'boolean', data: 'object?', error: 'string?', page: 'string?',
+        },
+        // data is { image, index, count, rtl }: the region cut from the index-th
+        // of the frame's count page images. cancelled is set when the user pressed Escape.
+        VS_REGION_CLIPPED: {
+            nonce: 'string', requestId: 'string', frameId: 'string',
+            success: 'boolean', cancelled: 'boolean?', data: 'object?', error: 'string?', page: 'string?',
+        },
+        VS_PAGE_LOADED: { nonce: 'string', frameId: 'string', visibility: 'number', url: 'string', page: 'string' },
+        // Sent before the frame has heard from the top page, so the nonce may be missing
+        VS_IFRAME_READY: {
+            nonce: 'string?', frameId: 'string',
+            hasImage: 'boolean', hasText: 'boolean', visibility: 'number', url: 'string', page: 'string?',
+        },
+    };
+
+    const REQUESTS = new Set(['VS_PING', 'VS_CAPTURE_PAGE', 'VS_CAPTURE_TEXT', 'VS_CLIP_START', 'VS_CLIP_END']);
+
+    function typeOf(value) {
+        return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    }
+
+    // Description of the first field that doesn't match the schema, or null
+    function findProblem(message) {
+        const schema = SCHEMAS[message.type];
+        if (!schema) return `unknown message type ${message.type}`;
+        for (const [field, spec] of Object.entries(schema)) {
+            const optional = spec.endsWith('?');
+            const value = message[field];
+            if (value == null ? !optional : typeOf(value) !== spec.replace('?', '')) {
+                return `${message.type}.${field} should be ${spec}, got ${typeOf(value)}`;
+            }
+        }
+        return null;
+    }
+
+    // A malformed outgoing message is a bug in this extension, so it throws
+    function create(type, fields) {
+        const message = { ...fields, type, v: VERSION };
+        const problem = findProblem(message);
+        if (problem) throw new TypeError(problem);
+        return message;
+    }
+
+    // The message if it is a well-formed one of ours, otherwise null
+    function parse(data) {
+        if (typeOf(data) !== 'object' || !SCHEMAS[data.type] || data.v !== VERSION) return null;
+        const problem = findProblem(data);
+        if (problem) {
+            console.warn('[VS-PDF] Dropping malformed message:', problem);
+            return null;
+        }
+        return data;
+    }
+
+    function isRequest(message) {
+        return REQUESTS.has(message.type);
+    }
+
+    // For nonces and frame IDs. crypto.randomUUID needs a secure context,
+    // which frames on plain-http hosts aren't.
+    function randomId() {
+        return Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Whether a page origin matches a manifest match pattern such as
+    // https://*.vitalsource.com/* (a pattern without a port allows any)
+    function matchesOrigin(pattern, origin) {
+        const parts = pattern.match(/^(\*|https?):\/\/([^/:]+)(?::(\d+))?\//);
+        let url;
+        try {
+            url = new URL(origin);
+        } catch {
+            return false;
+        }
+        if (!parts) return false;
+        const [, scheme, host, port] = parts;
+        if (scheme === '*' ? !/^https?:$/.test(url.protocol) : url.protocol !== `${scheme}:`) return false;
+        if (port && url.port !== port) return false;
+        if (host === '*') return true;
+        if (host.startsWith('*.')) return url.hostname === host.slice(2) || url.hostname.endsWith(host.slice(1));
+        return url.hostname === host;
+    }
+
+    // Whether origin is a reader page: one the top page script (content.js)
+    // is injected into. Frames only talk to such a page.
+    function isReaderOrigin(origin) {
+        const script = chrome.runtime.getManifest().content_scripts.find((entry) => entry.js.includes('content.js'));
+        return !!script && script.matches.some((pattern) => matchesOrigin(pattern, origin));
+    }
+
+    // The origin a message to an iframe element should be addressed to, going
+    // by its src, so it is only delivered while the frame shows that origin.
+    // Frames without a src (about:blank, srcdoc) share the parent's origin;
+    // null for sandboxed ones and data: URLs, whose origin is opaque.
+    function getFrameOrigin(iframe) {
+        if (iframe.hasAttribute('sandbox') && !/\ballow-same-origin\b/.test(iframe.getAttribute('sandbox'))) return null;
+        const src = iframe.getAttribute('src');
+        if (!src || iframe.hasAttribute('srcdoc') || /^\s*(about|javascript):/i.test(src)) return window.location.origin;
+        try {
+            const { origin } = new URL(src, window.location.href);
+            return origin === 'null' ? null : origin;
+        } catch {
+            return null;
+        }
+    }
+
+    globalThis.VsProtocol = { VERSION, create, parse, isRequest, randomId, isReaderOrigin, getFrameOrigin };
+})();
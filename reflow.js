@@ -0,0 +1,178 @@
+/**
+ * VitalSource PDF Downloader - Reflowable Layout
+ * Lays out chapter content captured from reflowable (EPUB-style) books as
+ * real text with jsPDF, paginated to the document's page size. Blocks come
+ * from iframe.js: headings, paragraphs, list items, preformatted text and
+ * images. Only the standard PDF fonts are available, so characters outside
+ * Windows-1252 won't render correctly.
+ */
+
+(function () {
+    'use strict';
+
+    const BLOCK_STYLES = {
+        heading1: { size: 20, lineHeight: 1.25, before: 18, after: 10, bold: true },
+        heading2: { size: 16, lineHeight: 1.25, before: 16, after: 8, bold: true },
+        heading3: { size: 13, lineHeight: 1.3, before: 14, after: 6, bold: true },
+        paragraph: { size: 11, lineHeight: 1.45, before: 0, after: 8 },
+        'list-item': { size: 11, lineHeight: 1.45, before: 0, after: 4, indent: 18 },
+        preformatted: { size: 9, lineHeight: 1.3, before: 4, after: 10, font: 'courier' },
+    };
+
+    function fontStyle(bold, italic) {
+        if (bold && italic) return 'bolditalic';
+        if (bold) return 'bold';
+        return italic ? 'italic' : 'normal';
+    }
+
+    function styleFor(block) {
+        if (block.type === 'heading') return BLOCK_STYLES[`heading${Math.min(block.level, 3)}`];
+        return BLOCK_STYLES[block.type] || BLOCK_STYLES.paragraph;
+    }
+
+    class ReflowLayout {
+        constructor(pdf, { margin = 54 } = {}) {
+            this.pdf = pdf;
+            this.margin = margin;
+            this.pageWidth = pdf.internal.pageSize.getWidth();
+            this.pageHeight = pdf.internal.pageSize.getHeight();
+            this.contentWidth = this.pageWidth - margin * 2;
+            this.y = margin;
+            this.pageHasContent = false;
+        }
+
+        get pageNumber() {
+            return this.pdf.internal.getNumberOfPages();
+        }
+
+        newPage() {
+            this.pdf.addPage();
+            this.y = this.margin;
+            this.pageHasContent = false;
+        }
+
+        ensureSpace(height) {
+            if (this.y + height > this.pageHeight - this.margin && this.pageHasContent) this.newPage();
+        }
+
+        // Each chapter starts on a fresh page. Returns that page's number.
+        addChapter(chapter) {
+            if (this.pageHasContent) this.newPage();
+            const firstPage = this.pageNumber;
+            chapter.blocks.forEach((block) => this.addBlock(block));
+            return firstPage;
+        }
+
+        addBlock(block) {
+            if (block.type === 'image') {
+                this.addImage(block);
+                return;
+            }
+
+            const style = styleFor(block);
+            if (this.pageHasContent) this.y += style.before;
+            this.addText(block.runs, style, block.type === 'list-item' ? '•' : null);
+            this.y += style.after;
+        }
+
+        // Splits runs into words and spaces; whitespace collapses except in
+        // preformatted text, and '\n' forces a line break
+        tokenize(runs, preformatted) {
+            const tokens = [];
+            runs.forEach((run) => {
+                const text = preformatted ? run.text : run.text.replace(/[ \t\r\f\v]+/g, ' ').replace(/ ?\n ?/g, '\n');
+                text.split(/(\n| +)/).forEach((part) => {
+                    if (!part) return;
+                    tokens.push({ text: part, bold: run.bold, italic: run.italic, space: /^ +$/.test(part), newline: part === '\n' });
+                });
+            });
+            return tokens;
+        }
+
+        measure(token, style) {
+            this.pdf.setFont(style.font || 'helvetica', fontStyle(style.bold || token.bold, token.italic));
+            this.pdf.setFontSize(style.size);
+            return this.pdf.getTextWidth(token.text);
+        }
+
+        addText(runs, style, bullet) {
+            const indent = style.indent || 0;
+            const width = this.contentWidth - indent;
+            const lineHeight = style.size * style.lineHeight;
+            const lines = [];
+            let line = [];
+            let lineWidth = 0;
+
+            const breakLine = () => {
+                while (line.length > 0 && line[line.length - 1].space) line.pop();
+                lines.push(line);
+                line = [];
+                lineWidth = 0;
+            };
+
+            this.tokenize(runs, style.font === 'courier').forEach((token) => {
+                if (token.newline) {
+                    breakLine();
+                    return;
+                }
+                if (token.space && line.length === 0 && style.font !== 'courier') return;
+
+                const tokenWidth = this.measure(token, style);
+                if (lineWidth + tokenWidth > width && line.length > 0) {
+                    breakLine();
+                    if (token.space) return;
+                }
+                line.push({ ...token, width: tokenWidth });
+                lineWidth += tokenWidth;
+            });
+            if (line.length > 0) breakLine();
+
+            // Trim blank lines at either end (from leading/trailing <br>)
+            while (lines.length > 0 && lines[0].length === 0) lines.shift();
+            while (lines.length > 0 && lines[lines.length - 1].length === 0) lines.pop();
+
+            lines.forEach((tokens, i) => {
+                this.ensureSpace(lineHeight);
+                const baseline = this.y + style.size;
+                let x = this.margin + indent;
+
+                if (bullet && i === 0) {
+                    this.pdf.setFont('helvetica', 'normal');
+                    this.pdf.setFontSize(style.size);
+                    this.pdf.text(bullet, this.margin + indent - 10, baseline);
+                }
+
+                tokens.forEach((token) => {
+                    if (!token.space) {
+                        this.pdf.setFont(style.font || 'helvetica', fontStyle(style.bold || token.bold, token.italic));
+                        this.pdf.setFontSize(style.size);
+                        this.pdf.text(token.text, x, baseline);
+                    }
+                    x += token.width;
+                });
+
+                this.y += lineHeight;
+                this.pageHasContent = true;
+            });
+        }
+
+        // Images keep their aspect ratio, shrink to fit the text block and
+        // never grow beyond their natural size at 96 DPI
+        addImage(block) {
+            const natural = { width: block.width * 0.75, height: block.height * 0.75 };
+            const maxHeight = this.pageHeight - this.margin * 2;
+            const scale = Math.min(1, this.contentWidth / natural.width, maxHeight / natural.height);
+            const width = natural.width * scale;
+            const height = natural.height * scale;
+
+            if (this.pageHasContent) this.y += 6;
+            this.ensureSpace(height);
+            const format = block.format === 'png' ? 'PNG' : 'JPEG';
+            this.pdf.addImage(block.data, format, this.margin + (this.contentWidth - width) / 2, this.y, width, height, undefined, 'FAST');
+            this.y += height + 10;
+            this.pageHasContent = true;
+        }
+    }
+
+    globalThis.ReflowLayout = ReflowLayout;
+})();
@@ -0,0 +1,82 @@
+/**
+ * VitalSource PDF Downloader - Settings
+ * Saved defaults for new captures, kept in extension storage (synced with
+ * the user's browser profile) and edited on the options page. Loaded by the
+ * content script, the popup and the options page.
+ */
+
+(function () {
+    'use strict';
+
+    const STORAGE_KEY = 'settings';
+
+    // null marks a number that may also be left unset
+    const DEFAULTS = {
+        pageLimit: 10,
+        filenameTemplate: '{title}_{chapter}_{part}_p{first}-{last}',
+        format: 'pdf', // 'pdf', 'zip', 'cbz' or 'epub'
+        chunkSize: null, // pages per file, or null for a single file
+        // Page size and placement; custom sizes and margins are in inches
+        pageSetup: { size: 'letter', customWidth: 6, customHeight: 9, fit: 'fit', dpi: 150, margin: 0, spreads: 'split' },
+        // Image encoding: quality is 1–100, dpi null keeps the full source resolution.
+        // Cleanup (see cleanup-worker.js) is applied as files are written; tone
+        // is 'original', 'bitonal' or 'night'.
+        image: { format: 'jpeg', quality: 92, grayscale: false, dpi: null, trimMargins: false, enhance: false, tone: 'original' },
+        // Bounds in ms for how long to wait for a page turn (see getNavigationTimeout)
+        navigation: { timeoutMin: 4000, timeoutMax: 30000 },
+    };
+
+    // The values allowed for fields that take one of a fixed set
+    const CHOICES = {
+        format: ['pdf', 'zip', 'cbz', 'epub'],
+        pageSetup: { size: ['letter', 'a4', 'a5', 'source', 'custom'], fit: ['fit', 'fill', 'actual'], spreads: ['split', 'merge'] },
+        image: { format: ['jpeg', 'png'], tone: ['original', 'bitonal', 'night'] },
+    };
+
+    // Stored values over the defaults, field by field: settings saved by an
+    // older version pick up new fields, and values of the wrong type, or not
+    // among a field's choices, fall back
+    function merge(defaults, stored, choices = {}) {
+        const result = {};
+        for (const [key, fallback] of Object.entries(defaults)) {
+            const value = stored?.[key];
+            if (fallback !== null && typeof fallback === 'object') {
+                result[key] = merge(fallback, value, choices[key]);
+            } else if (fallback === null) {
+                result[key] = Number.isFinite(value) ? value : null;
+            } else if (choices[key]) {
+                result[key] = choices[key].includes(value) ? value : fallback;
+            } else {
+                result[key] = typeof value === typeof fallback ? value : fallback;
+            }
+        }
+        return result;
+    }
+
+    function getDefaults() {
+        return merge(DEFAULTS, {});
+    }
+
+    async function load() {
+        try {
+            const stored = await chrome.storage.sync.get(STORAGE_KEY);
+            return merge(DEFAULTS, stored[STORAGE_KEY], CHOICES);
+        } catch (e) {
+            console.warn('[VS-PDF] Could not read settings:', e.message);
+            return getDefaults();
+        }
+    }
+
+    function save(settings) {
+        return chrome.storage.sync.set({ [STORAGE_KEY]: merge(DEFAULTS, settings, CHOICES) });
+    }
+
+    // Calls back with the new settings whenever they are saved, from any page
+    function onChange(callback) {
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync' && changes[STORAGE_KEY]) callback(merge(DEFAULTS, changes[STORAGE_KEY].newValue, CHOICES));
+        });
+    }
+
+    globalThis.VsSettings = { getDefaults, load, save, onChange };
+})();
@@ -0,0 +1,154 @@
+/**
+ * VitalSource PDF Downloader - Browser Tests
+ * Loads the extension into headless Chrome, captures from the reader
+ * fixture (fixtures/reader/server.js) through the capture dialog, and
+ * checks the files the service worker saves: their names, page counts and
+ * page labels.
+ *
+ *   npm install && npm run test:browser
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, test } = require('node:test');
+const puppeteer = require('puppeteer');
+
+const PORT = 8850;
+const READER_URL = `http://localhost:${PORT}/reader/books/9780000000001/epubcfi/6`;
+const SERVER = path.join(__dirname, '..', 'fixtures', 'reader', 'server.js');
+const BOOK_FOLDER = 'Fixture_Book'; // files go to Downloads/<book title>/
+const CAPTURE_TIMEOUT = 120000;
+
+let server;
+let browser;
+let workDir;
+let downloadDir;
+
+before(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vs-pdf-test-'));
+    const extensionDir = path.join(workDir, 'extension');
+    const profileDir = path.join(workDir, 'profile');
+    downloadDir = path.join(workDir, 'downloads');
+
+    // A fresh profile that saves downloads without asking, so files land
+    // where the downloads API puts them
+    fs.mkdirSync(path.join(profileDir, 'Default'), { recursive: true });
+    fs.writeFileSync(path.join(profileDir, 'Default', 'Preferences'), JSON.stringify({
+        download: { default_directory: downloadDir, prompt_for_download: false },
+    }));
+
+    server = spawn(process.execPath, [SERVER, '--port', String(PORT), '--extension', extensionDir], { stdio: ['ignore', 'pipe', 'inherit'] });
+    await new Promise((resolve, reject) => {
+        let output = '';
+        server.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('Content:')) resolve();
+        });
+        server.once('exit', (code) => reject(new Error(`The fixture server exited with code ${code}`)));
+    });
+
+    // Unpacked extensions are loaded over the pipe connection. Containers
+    // often run as root, where Chrome's sandbox can't start.
+    browser = await puppeteer.launch({
+        headless: true,
+        pipe: true,
+        enableExtensions: [extensionDir],
+        userDataDir: profileDir,
+        args: ['--no-sandbox'],
+    });
+});
+
+after(async () => {
+    await browser?.close();
+    server?.kill();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Opens the fixture reader with the given scenario in a fresh tab, with
+// the files of earlier tests cleared away
+async function openReader(query) {
+    fs.rmSync(path.join(downloadDir, BOOK_FOLDER), { recursive: true, force: true });
+    const page = await browser.newPage();
+    await page.goto(`${READER_URL}?${new URLSearchParams(query)}`);
+    await page.waitForSelector('#vs-download-page-btn button', { timeout: 30000 });
+    return page;
+}
+
+// Opens the capture dialog for several pages, fills in its fields by ID
+// and starts the capture
+async function startCapture(page, fields) {
+    await page.click('#vs-download-page-btn button');
+    await page.click('#vs-download-multiple');
+    await page.evaluate((values) => {
+        for (const [id, value] of Object.entries(values)) {
+            const input = document.getElementById(id);
+            if (input.type === 'checkbox') input.checked = value;
+            else input.value = value;
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }, fields);
+    await page.click('#vs-action');
+}
+
+// Resolves with the saved files' names once the capture has ended and
+// every download has finished
+async function waitForFiles(page, count) {
+    await page.waitForFunction(() => !/^Stop/.test(document.getElementById('vs-action').textContent), { timeout: CAPTURE_TIMEOUT });
+    const folder = path.join(downloadDir, BOOK_FOLDER);
+    const deadline = Date.now() + 30000;
+    for (;;) {
+        const names = fs.existsSync(folder) ? fs.readdirSync(folder).sort() : [];
+        if (names.length >= count && !names.some((name) => name.endsWith('.crdownload'))) return names;
+        if (Date.now() > deadline) {
+            const status = await page.$eval('#vs-status-text', (element) => element.textContent);
+            throw new Error(`Expected ${count} files, found [${names.join(', ')}]. Status: ${status}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+}
+
+// Page count and page labels of a saved PDF
+async function readPdf(name) {
+    const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const data = new Uint8Array(fs.readFileSync(path.join(downloadDir, BOOK_FOLDER, name)));
+    const pdf = await getDocument({ data, verbosity: 0 }).promise;
+    const result = { pages: pdf.numPages, labels: await pdf.getPageLabels() };
+    await pdf.destroy();
+    return result;
+}
+
+test('a page range is saved as one PDF labelled like the book', async () => {
+    const page = await openReader({ pages: 8, front: 3, turn: 50 });
+    await startCapture(page, { 'vs-range-start': 'ii', 'vs-range-end': '3', 'vs-review': false });
+
+    const files = await waitForFiles(page, 1);
+    assert.deepEqual(files, ['Fixture_Book_pii-3.pdf']);
+    assert.deepEqual(await readPdf(files[0]), { pages: 5, labels: ['ii', 'iii', '1', '2', '3'] });
+    await page.close();
+});
+
+test('a split capture is saved in chunks named by part and pages', async () => {
+    const page = await openReader({ pages: 8, turn: 50 });
+    await startCapture(page, { 'vs-page-limit': '5', 'vs-split': true, 'vs-chunk-size': '2', 'vs-review': false });
+
+    const files = await waitForFiles(page, 3);
+    assert.deepEqual(files, ['Fixture_Book_part1_p1-2.pdf', 'Fixture_Book_part2_p3-4.pdf', 'Fixture_Book_part3_p5.pdf']);
+    assert.deepEqual(await readPdf(files[0]), { pages: 2, labels: ['1', '2'] });
+    assert.deepEqual(await readPdf(files[2]), { pages: 1, labels: ['5'] });
+    await page.close();
+});
+
+test('a capture past the end of the book stops on the last page', async () => {
+    const page = await openReader({ pages: 4, turn: 50, last: 'hide' });
+    await startCapture(page, { 'vs-page-limit': '10', 'vs-review': false });
+
+    const files = await waitForFiles(page, 1);
+    assert.deepEqual(files, ['Fixture_Book_p1-4.pdf']);
+    assert.deepEqual(await readPdf(files[0]), { pages: 4, labels: ['1', '2', '3', '4'] });
+    await page.close();
+});
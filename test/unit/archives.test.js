@@ -0,0 +1,120 @@
+/**
+ * VitalSource PDF Downloader - ZIP and EPUB Writer Tests
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const zlib = require('node:zlib');
+const { loadScripts, readZip } = require('./helpers');
+
+loadScripts('zipwriter.js', 'epubwriter.js');
+const { ZipWriter, EpubWriter } = globalThis;
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+async function bytesOf(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+test('files are stored with their names, contents and checksums', async () => {
+    const zip = new ZipWriter();
+    await zip.addFile('notes.txt', 'Photosynthesis – light reactions');
+    await zip.addFile('images/0001.jpg', new Blob([new Uint8Array([0xff, 0xd8, 0xff, 0xd9])]));
+    await zip.addFile('données.bin', new Uint8Array([1, 2, 3]));
+    const archive = zip.finish();
+
+    assert.equal(archive.type, 'application/zip');
+    const entries = readZip(await bytesOf(archive));
+    assert.deepEqual(entries.map((entry) => entry.name), ['notes.txt', 'images/0001.jpg', 'données.bin']);
+    assert.equal(text(entries[0].data), 'Photosynthesis – light reactions');
+    assert.deepEqual([...entries[1].data], [0xff, 0xd8, 0xff, 0xd9]);
+    assert.deepEqual([...entries[2].data], [1, 2, 3]);
+    for (const entry of entries) {
+        assert.equal(entry.method, 0, `${entry.name} is stored`);
+        assert.equal(entry.flags & 0x0800, 0x0800, `${entry.name} has a UTF-8 name`);
+        assert.equal(entry.crc, zlib.crc32(entry.data), `${entry.name} checksum`);
+    }
+});
+
+test('an empty archive is just the end record', async () => {
+    const bytes = await bytesOf(new ZipWriter().finish('application/vnd.comicbook+zip'));
+    assert.equal(bytes.length, 22);
+    assert.deepEqual(readZip(bytes), []);
+});
+
+test('XML special characters are escaped', () => {
+    assert.equal(ZipWriter.escapeXml(`Cells & "Tissues" <1>`), 'Cells &#38; &#34;Tissues&#34; &#60;1&#62;');
+});
+
+async function buildEpub() {
+    const epub = new EpubWriter();
+    await epub.addPage({ data: new Blob(['jpeg one']), format: 'jpeg', width: 800, height: 1200, label: 'i' });
+    await epub.addPage({ data: new Blob(['png two']), format: 'png', width: 800, height: 1200, label: '1' });
+    await epub.addPage({ data: new Blob(['jpeg three']), format: 'jpeg', width: 800, height: 1200, label: '' });
+    const outline = [{ title: 'Part 1', pageIndex: 1, children: [{ title: 'Cells & Tissues', pageIndex: 2, children: [] }] }];
+    const blob = await epub.finish({ title: 'Biology & Life', outline });
+    return { blob, entries: readZip(await bytesOf(blob)) };
+}
+
+test('the EPUB starts with an uncompressed mimetype entry', async () => {
+    const { blob, entries } = await buildEpub();
+    assert.equal(blob.type, 'application/epub+zip');
+    assert.equal(entries[0].name, 'mimetype');
+    assert.equal(entries[0].offset, 0);
+    assert.equal(entries[0].method, 0);
+    assert.equal(text(entries[0].data), 'application/epub+zip');
+
+    const bytes = await bytesOf(blob);
+    assert.equal(text(bytes.subarray(30, 58)), 'mimetypeapplication/epub+zip');
+});
+
+test('the EPUB holds a page document and image for every page', async () => {
+    const { entries } = await buildEpub();
+    const files = new Map(entries.map((entry) => [entry.name, entry.data]));
+
+    assert.match(text(files.get('META-INF/container.xml')), /<rootfile full-path="OEBPS\/content.opf" media-type="application\/oebps-package\+xml"\/>/);
+    assert.deepEqual([...files.keys()].filter((name) => name.startsWith('OEBPS/')).sort(), [
+        'OEBPS/content.opf', 'OEBPS/images/p0001.jpg', 'OEBPS/images/p0002.png', 'OEBPS/images/p0003.jpg',
+        'OEBPS/nav.xhtml', 'OEBPS/p0001.xhtml', 'OEBPS/p0002.xhtml', 'OEBPS/p0003.xhtml',
+    ]);
+    assert.equal(text(files.get('OEBPS/images/p0002.png')), 'png two');
+
+    const page = text(files.get('OEBPS/p0002.xhtml'));
+    assert.match(page, /<meta name="viewport" content="width=800, height=1200"\/>/);
+    assert.match(page, /<img src="images\/p0002.png" alt="Page 1"\/>/);
+});
+
+test('the package lists every file and reads the pages in order', async () => {
+    const { entries } = await buildEpub();
+    const opf = text(entries.find((entry) => entry.name === 'OEBPS/content.opf').data);
+
+    assert.match(opf, /<dc:title>Biology &#38; Life<\/dc:title>/);
+    assert.match(opf, /<dc:identifier id="book-id">urn:uuid:[0-9a-f-]{36}<\/dc:identifier>/);
+    assert.match(opf, /<meta property="rendition:layout">pre-paginated<\/meta>/);
+    assert.match(opf, /<item id="nav" href="nav.xhtml" media-type="application\/xhtml\+xml" properties="nav"\/>/);
+    assert.match(opf, /<item id="p0001-image" href="images\/p0001.jpg" media-type="image\/jpeg" properties="cover-image"\/>/);
+    assert.match(opf, /<item id="p0002-image" href="images\/p0002.png" media-type="image\/png"\/>/);
+    assert.deepEqual([...opf.matchAll(/<itemref idref="(\w+)"\/>/g)].map((match) => match[1]), ['p0001', 'p0002', 'p0003']);
+});
+
+test('the navigation document has the outline and the page labels', async () => {
+    const { entries } = await buildEpub();
+    const nav = text(entries.find((entry) => entry.name === 'OEBPS/nav.xhtml').data);
+    const [toc, pageList] = nav.split('<nav epub:type="page-list"');
+
+    assert.match(toc, /<li><a href="p0002.xhtml">Part 1<\/a>\s*<ol>\s*<li><a href="p0003.xhtml">Cells &#38; Tissues<\/a><\/li>\s*<\/ol>\s*<\/li>/);
+    // Pages without a label are listed by their number
+    assert.deepEqual([...pageList.matchAll(/<a href="(\w+)\.xhtml">([^<]*)<\/a>/g)].map((match) => [match[1], match[2]]), [
+        ['p0001', 'i'], ['p0002', '1'], ['p0003', '3'],
+    ]);
+});
+
+test('an EPUB without an outline points its contents at the first page', async () => {
+    const epub = new EpubWriter();
+    await epub.addPage({ data: new Blob(['only']), format: 'jpeg', width: 10, height: 10, label: '1' });
+    const entries = readZip(await bytesOf(await epub.finish({ title: 'Notes' })));
+    const nav = text(entries.find((entry) => entry.name === 'OEBPS/nav.xhtml').data);
+    assert.match(nav, /<nav epub:type="toc" id="toc">\s*<h1>Notes<\/h1>\s*<ol>\s*<li><a href="p0001.xhtml">Notes<\/a><\/li>/);
+});
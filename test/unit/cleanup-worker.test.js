@@ -0,0 +1,56 @@
+/**
+ * VitalSource PDF Downloader - Cleanup Worker Tests
+ * The levels and threshold the worker derives from a page's luminance
+ * histogram; decoding and drawing need a browser and aren't covered here.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { loadScripts } = require('./helpers');
+
+// The worker registers its message handler on load
+globalThis.self = { addEventListener() {}, postMessage() {} };
+loadScripts('cleanup-worker.js');
+const { getLevels, getThreshold } = globalThis;
+
+// Histogram of a page made of the given { luminance: pixel count }
+function histogram(counts) {
+    const values = new Uint32Array(256);
+    let total = 0;
+    for (const [value, count] of Object.entries(counts)) {
+        values[value] = count;
+        total += count;
+    }
+    return [values, total];
+}
+
+test('levels map the paper to white and the darkest ink to black', () => {
+    assert.deepEqual(getLevels(...histogram({ 20: 1000, 240: 9000 })), { black: 20, white: 232 });
+});
+
+test('paper grain just under the paper peak is cleared', () => {
+    assert.deepEqual(getLevels(...histogram({ 10: 500, 225: 2000, 230: 7500 })), { black: 10, white: 222 });
+});
+
+test('faint pages keep black from going above 96', () => {
+    assert.deepEqual(getLevels(...histogram({ 150: 1000, 250: 9000 })), { black: 96, white: 242 });
+});
+
+test('pages without bright paper keep white well above black', () => {
+    assert.deepEqual(getLevels(...histogram({ 60: 10000 })), { black: 60, white: 247 });
+    assert.deepEqual(getLevels(...histogram({ 90: 5000, 130: 5000 })), { black: 90, white: 122 });
+});
+
+test('the threshold splits ink from paper', () => {
+    const threshold = getThreshold(...histogram({ 30: 2000, 220: 8000 }));
+    assert.ok(threshold >= 30 && threshold < 220, `threshold ${threshold}`);
+
+    const noisy = getThreshold(...histogram({ 20: 500, 40: 1000, 60: 500, 200: 3000, 230: 5000 }));
+    assert.ok(noisy >= 60 && noisy < 200, `threshold ${noisy}`);
+});
+
+test('a page of one tone has the middle threshold', () => {
+    assert.equal(getThreshold(...histogram({ 255: 10000 })), 128);
+});
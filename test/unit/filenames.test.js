@@ -0,0 +1,67 @@
+/**
+ * VitalSource PDF Downloader - Filename Tests
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { loadScripts } = require('./helpers');
+
+loadScripts('filenames.js');
+const { MAX_LENGTH, sanitizeFilename, formatFilename } = globalThis.VsFilenames;
+
+const BOOK = { title: 'Biology: A Global Approach', authors: ['Neil Campbell', 'Jane Reece'], isbn: '9781292170435' };
+const DATE = new Date(2024, 2, 5, 14, 30).getTime();
+
+test('characters filesystems reject are dropped and words joined', () => {
+    assert.equal(sanitizeFilename('My: Book / Part?'), 'My_Book_Part');
+    assert.equal(sanitizeFilename('a<b>c|d*e"f'), 'abcdef');
+    assert.equal(sanitizeFilename('  spaced   out  '), 'spaced_out');
+    assert.equal(sanitizeFilename('one__two--three'), 'one_two-three');
+    assert.equal(sanitizeFilename('...hidden.'), 'hidden');
+});
+
+test('letters of every script are kept and invisible marks removed', () => {
+    assert.equal(sanitizeFilename('Ψυχολογία'), 'Ψυχολογία');
+    assert.equal(sanitizeFilename('‏كتاب‎ الأحياء'), 'كتاب_الأحياء');
+    assert.equal(sanitizeFilename('Café'), 'Café');
+});
+
+test('names are cut by characters, not UTF-16 units', () => {
+    const name = sanitizeFilename('😀'.repeat(100));
+    assert.equal(Array.from(name).length, 80);
+    assert.equal(name, '😀'.repeat(80));
+    assert.equal(Array.from(sanitizeFilename('x'.repeat(300), MAX_LENGTH)).length, MAX_LENGTH);
+});
+
+test('reserved Windows device names get a suffix', () => {
+    assert.equal(sanitizeFilename('CON'), 'CON_');
+    assert.equal(sanitizeFilename('lpt1'), 'lpt1_');
+    assert.equal(sanitizeFilename('console'), 'console');
+});
+
+test('templates are filled in from the book and the file', () => {
+    assert.equal(
+        formatFilename('{title}_{part}_p{first}-{last}', BOOK, { first: '1', last: '50', part: 2 }),
+        'Biology_A_Global_Approach_part2_p1-50'
+    );
+    assert.equal(formatFilename('{author} - {isbn}', BOOK), 'Neil_Campbell,_Jane_Reece_-_9781292170435');
+    assert.equal(formatFilename('{title}_{date}', BOOK, { date: DATE }), 'Biology_A_Global_Approach_2024-03-05');
+});
+
+test('tokens that do not apply leave no stray separators', () => {
+    assert.equal(formatFilename('{title}_p{first}-{last}', BOOK, { first: '5', last: '5' }), 'Biology_A_Global_Approach_p5');
+    assert.equal(formatFilename('{title}_{part}', BOOK), 'Biology_A_Global_Approach');
+    assert.equal(formatFilename('{title} ({author})', { ...BOOK, authors: [] }), 'Biology_A_Global_Approach');
+    assert.equal(formatFilename('{title}_{unknown}', BOOK), 'Biology_A_Global_Approach_{unknown}');
+});
+
+test('chapter and part are added when the template leaves them out', () => {
+    assert.equal(formatFilename('{title}', BOOK, { chapter: 'Cell Structure', part: 3 }), 'Biology_A_Global_Approach_Cell_Structure_part3');
+});
+
+test('an empty name falls back to the title', () => {
+    assert.equal(formatFilename('{author}', { ...BOOK, authors: [] }), 'Biology_A_Global_Approach');
+    assert.equal(formatFilename('{isbn}', { title: null, authors: [], isbn: null }), 'vitalsource-book');
+});
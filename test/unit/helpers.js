@@ -0,0 +1,61 @@
+/**
+ * VitalSource PDF Downloader - Unit Test Helpers
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Runs extension scripts the way the browser does: as classic scripts
+// sharing one global scope, where they leave their globals (VsLabels,
+// PdfWriter, ...) for the tests to pick up
+function loadScripts(...names) {
+    for (const name of names) {
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT, name), 'utf8'), { filename: path.join(ROOT, name) });
+    }
+}
+
+function readManifest() {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+}
+
+// The entries of a stored (uncompressed) ZIP archive, in the order the
+// central directory lists them: { name, flags, method, crc, offset, data }
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const text = (start, length) => new TextDecoder().decode(bytes.subarray(start, start + length));
+
+    const end = bytes.length - 22;
+    if (view.getUint32(end, true) !== 0x06054b50) throw new Error('No end of central directory record');
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error(`Bad central directory header ${i}`);
+        const nameLength = view.getUint16(offset + 28, true);
+        const local = view.getUint32(offset + 42, true);
+        const entry = {
+            name: text(offset + 46, nameLength),
+            flags: view.getUint16(offset + 8, true),
+            method: view.getUint16(offset + 10, true),
+            crc: view.getUint32(offset + 16, true),
+            offset: local,
+        };
+
+        if (view.getUint32(local, true) !== 0x04034b50) throw new Error(`Bad local header for ${entry.name}`);
+        if (text(local + 30, view.getUint16(local + 26, true)) !== entry.name) throw new Error(`Names differ for ${entry.name}`);
+        const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        entry.data = bytes.subarray(start, start + view.getUint32(local + 18, true));
+
+        entries.push(entry);
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    return entries;
+}
+
+module.exports = { loadScripts, readManifest, readZip };
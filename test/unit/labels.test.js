@@ -0,0 +1,65 @@
+/**
+ * VitalSource PDF Downloader - Page Label Tests
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { loadScripts } = require('./helpers');
+
+loadScripts('labels.js');
+const { normalizeLabel, parsePageLabel, isAtOrPastLabel, offsetLabel, getSpreadLabels, estimateRangeLength } = globalThis.VsLabels;
+
+test('labels compare without case or extra spaces', () => {
+    assert.equal(normalizeLabel('  XII '), 'xii');
+    assert.equal(normalizeLabel('Part  1'), 'part 1');
+    assert.equal(normalizeLabel(null), '');
+});
+
+test('labels split into prefix and ordinal', () => {
+    assert.deepEqual(parsePageLabel('42'), { prefix: '', value: 42, roman: false });
+    assert.deepEqual(parsePageLabel('C-19'), { prefix: 'c-', value: 19, roman: false });
+    assert.deepEqual(parsePageLabel('xii'), { prefix: '', value: 12, roman: true });
+    assert.deepEqual(parsePageLabel('A-XIV'), { prefix: 'a-', value: 14, roman: true });
+    assert.equal(parsePageLabel('Cover'), null);
+    assert.equal(parsePageLabel('Index'), null);
+});
+
+test('ranges are sized only between comparable labels', () => {
+    assert.equal(estimateRangeLength('1', '10'), 10);
+    assert.equal(estimateRangeLength('xii', 'xv'), 4);
+    assert.equal(estimateRangeLength('C-3', 'c-7'), 5);
+    assert.equal(estimateRangeLength('ix', '3'), null);
+    assert.equal(estimateRangeLength('A-1', 'B-5'), null);
+    assert.equal(estimateRangeLength('Cover', '5'), null);
+});
+
+test('offsets keep the prefix and the case of roman numerals', () => {
+    assert.equal(offsetLabel('C-19', 1), 'C-20');
+    assert.equal(offsetLabel('99', 2), '101');
+    assert.equal(offsetLabel('XII', 1), 'XIII');
+    assert.equal(offsetLabel('xii', -2), 'x');
+    assert.equal(offsetLabel('iv', 5), 'ix');
+    assert.equal(offsetLabel('Cover', 3), 'Cover');
+    assert.equal(offsetLabel('7', 0), '7');
+});
+
+test('spreads are labelled from their range or their first page', () => {
+    assert.deepEqual(getSpreadLabels('7', 1), ['7']);
+    assert.deepEqual(getSpreadLabels('12-13', 2), ['12', '13']);
+    assert.deepEqual(getSpreadLabels('12 – 13', 2), ['12', '13']);
+    assert.deepEqual(getSpreadLabels('12', 2), ['12', '13']);
+    assert.deepEqual(getSpreadLabels('xi', 2), ['xi', 'xii']);
+});
+
+test('a stop label is reached at or after it, within the same numbering', () => {
+    assert.equal(isAtOrPastLabel('12', '12'), true);
+    assert.equal(isAtOrPastLabel('XII', 'xii'), true);
+    assert.equal(isAtOrPastLabel('15', '12'), true);
+    assert.equal(isAtOrPastLabel('11', '12'), false);
+    assert.equal(isAtOrPastLabel('xv', '12'), false);
+    assert.equal(isAtOrPastLabel('B-2', 'A-5'), false);
+    assert.equal(isAtOrPastLabel('13-14', '13'), true);
+    assert.equal(isAtOrPastLabel('12-13', '13'), false);
+});
@@ -0,0 +1,122 @@
+/**
+ * VitalSource PDF Downloader - PDF Writer Tests
+ * Builds files with PdfWriter and reads them back with pdf.js.
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const zlib = require('node:zlib');
+const { loadScripts } = require('./helpers');
+
+loadScripts('pdfwriter.js');
+const { PdfWriter } = globalThis;
+
+const PAGE = { pageWidth: 400, pageHeight: 600, x: 0, y: 0, width: 400, height: 600 };
+
+// A 2×2 RGB image, deflated the way flateImage does it
+function image(shade) {
+    const pixels = new Uint8Array(2 * 2 * 3).fill(shade);
+    return { data: new Blob([zlib.deflateSync(pixels)]), width: 2, height: 2, colorSpace: 'DeviceRGB', filter: 'FlateDecode' };
+}
+
+async function build(pageCount, options) {
+    const writer = new PdfWriter();
+    for (let i = 0; i < pageCount; i++) writer.addImagePage(image(i * 40), PAGE);
+    return new Uint8Array(await writer.finish(options).arrayBuffer());
+}
+
+async function open(bytes) {
+    const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    // pdf.js takes over the buffer it is given
+    return getDocument({ data: bytes.slice(), verbosity: 0 }).promise;
+}
+
+test('the cross-reference table points at every object', async () => {
+    const bytes = await build(3);
+    const text = Buffer.from(bytes).toString('latin1');
+
+    assert.ok(text.startsWith('%PDF-1.4\n'));
+    assert.ok(text.endsWith('%%EOF\n'));
+    const xrefOffset = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.ok(text.startsWith('xref\n', xrefOffset));
+
+    const [, first, count] = text.slice(xrefOffset).match(/^xref\n(\d+) (\d+)\n/);
+    assert.equal(first, '0');
+    const entries = text.slice(xrefOffset).split('\n').slice(2, 2 + Number(count));
+    assert.equal(entries[0], '0000000000 65535 f ');
+    entries.slice(1).forEach((entry, i) => {
+        assert.match(entry, /^\d{10} 00000 n $/);
+        assert.ok(text.startsWith(`${i + 1} 0 obj\n`, Number(entry.slice(0, 10))), `object ${i + 1}`);
+    });
+    assert.match(text, new RegExp(`trailer\\n<< /Size ${count} /Root \\d+ 0 R /Info \\d+ 0 R >>`));
+});
+
+test('pages open in pdf.js at their size', async () => {
+    const pdf = await open(await build(3));
+    assert.equal(pdf.numPages, 3);
+    const page = await pdf.getPage(2);
+    assert.deepEqual(page.view, [0, 0, 400, 600]);
+    await pdf.destroy();
+});
+
+test('page labels are written as given, unlabelled pages by number', async () => {
+    const pdf = await open(await build(4, { pageLabels: ['xii', '', 'C-19', 'Index'] }));
+    assert.deepEqual(await pdf.getPageLabels(), ['xii', '2', 'C-19', 'Index']);
+    await pdf.destroy();
+
+    const unlabelled = await open(await build(2));
+    assert.equal(await unlabelled.getPageLabels(), null);
+    await unlabelled.destroy();
+});
+
+test('the outline nests chapters and points at their pages', async () => {
+    const outline = [
+        { title: 'Contents', pageIndex: 0, children: [] },
+        {
+            title: 'Part 1: Cells (and more)',
+            pageIndex: 1,
+            children: [
+                { title: 'Chapter 1', pageIndex: 1, children: [] },
+                { title: 'Kapitel 2 – Zellen', pageIndex: 3, children: [] },
+            ],
+        },
+    ];
+    const pdf = await open(await build(4, { outline }));
+
+    const items = await pdf.getOutline();
+    assert.deepEqual(items.map((item) => item.title), ['Contents', 'Part 1: Cells (and more)']);
+    assert.deepEqual(items[1].items.map((item) => item.title), ['Chapter 1', 'Kapitel 2 – Zellen']);
+    assert.equal(items[0].items.length, 0);
+
+    const pageOf = async (item) => pdf.getPageIndex(item.dest[0]);
+    assert.equal(await pageOf(items[0]), 0);
+    assert.equal(await pageOf(items[1]), 1);
+    assert.equal(await pageOf(items[1].items[1]), 3);
+    await pdf.destroy();
+});
+
+test('metadata goes into the Info dictionary', async () => {
+    const metadata = { title: 'Biology', authors: ['Neil Campbell', 'Jane Reece'], publisher: 'Pearson', firstPage: '1', lastPage: '2' };
+    const pdf = await open(await build(2, { metadata }));
+    const { info } = await pdf.getMetadata();
+    assert.equal(info.Title, 'Biology');
+    assert.equal(info.Author, 'Neil Campbell; Jane Reece');
+    assert.equal(info.Subject, 'Pages 1–2');
+    assert.equal(info.Producer, 'VitalSource PDF Downloader');
+    await pdf.destroy();
+});
+
+test('text pages wrap onto as many pages as they need', async () => {
+    const writer = new PdfWriter();
+    const paragraph = 'The cell is the basic unit of life. '.repeat(40);
+    writer.addTextPages([{ text: 'Chapter 1', size: 18, bold: true }, ...Array(8).fill({ text: paragraph })], { width: 612, height: 792 });
+    assert.ok(writer.pageCount > 1);
+
+    const pdf = await open(new Uint8Array(await writer.finish().arrayBuffer()));
+    assert.equal(pdf.numPages, writer.pageCount);
+    const { items } = await (await pdf.getPage(1)).getTextContent();
+    assert.equal(items[0].str, 'Chapter 1');
+    await pdf.destroy();
+});
@@ -0,0 +1,71 @@
+/**
+ * VitalSource PDF Downloader - Messaging Protocol Tests
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { before, test } = require('node:test');
+const { loadScripts, readManifest } = require('./helpers');
+
+loadScripts('protocol.js');
+const { VERSION, create, parse, isRequest, randomId, isReaderOrigin } = globalThis.VsProtocol;
+
+const PING = { nonce: 'n1', origin: 'https://bookshelf.vitalsource.com', requestId: 'r1' };
+
+before(() => {
+    const manifest = readManifest();
+    globalThis.chrome = { runtime: { getManifest: () => manifest } };
+});
+
+test('created messages carry their type and the protocol version', () => {
+    assert.deepEqual(create('VS_PING', PING), { ...PING, type: 'VS_PING', v: VERSION });
+    assert.equal(isRequest(create('VS_PING', PING)), true);
+});
+
+test('creating a malformed message throws', () => {
+    assert.throws(() => create('VS_PING', { nonce: 'n1', origin: PING.origin }), { name: 'TypeError', message: /VS_PING\.requestId/ });
+    assert.throws(() => create('VS_CAPTURE_PAGE', { ...PING, options: 'all' }), /options should be object, got string/);
+    assert.throws(() => create('VS_NOPE', {}), /unknown message type/);
+});
+
+test('optional fields may be left out but not mistyped', () => {
+    const ready = { frameId: 'f1', hasImage: true, hasText: false, visibility: 1, url: 'https://jigsaw.vitalsource.com/' };
+    assert.ok(create('VS_IFRAME_READY', ready));
+    assert.throws(() => create('VS_IFRAME_READY', { ...ready, page: 3 }), /page should be string\?/);
+});
+
+test('well-formed messages parse back unchanged', () => {
+    const message = create('VS_CAPTURE_PAGE', { ...PING, frameId: 'f1', options: { scale: 2 } });
+    assert.equal(parse(message), message);
+});
+
+test('anything else parses to null', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(parse(null), null);
+    assert.equal(parse('VS_PING'), null);
+    assert.equal(parse([]), null);
+    assert.equal(parse({ ...PING, type: 'VS_PING' }), null);
+    assert.equal(parse({ ...PING, type: 'VS_PING', v: VERSION - 1 }), null);
+    assert.equal(parse({ ...PING, type: 'VS_UNKNOWN', v: VERSION }), null);
+    assert.equal(warn.mock.callCount(), 0);
+
+    assert.equal(parse({ ...PING, requestId: 7, type: 'VS_PING', v: VERSION }), null);
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('random IDs are 32 hex digits and differ', () => {
+    assert.match(randomId(), /^[0-9a-f]{32}$/);
+    assert.notEqual(randomId(), randomId());
+});
+
+test('reader origins are the ones content.js is injected into', () => {
+    assert.equal(isReaderOrigin('https://bookshelf.vitalsource.com'), true);
+    assert.equal(isReaderOrigin('https://vitalsource.com'), true);
+    assert.equal(isReaderOrigin('https://bookshelf.vitalsource.com:8443'), true);
+    assert.equal(isReaderOrigin('http://bookshelf.vitalsource.com'), false);
+    assert.equal(isReaderOrigin('https://evilvitalsource.com'), false);
+    assert.equal(isReaderOrigin('https://vitalsource.com.example.com'), false);
+    assert.equal(isReaderOrigin('https://jigsaw.example.com'), false);
+    assert.equal(isReaderOrigin('null'), false);
+});
@@ -0,0 +1,130 @@
+/**
+ * VitalSource PDF Downloader - ZIP Writer
+ * Builds uncompressed ("stored") ZIP archives into a Blob, the container for
+ * the image archive, CBZ and EPUB exports. Page images are already
+ * compressed, so storing them costs little, and the file data is referenced
+ * as Blobs rather than copied. Archives are limited to 4 GB (no ZIP64).
+ */
+
+(function () {
+    'use strict';
+
+    const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c;
+    });
+
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // MS-DOS date and time fields, in local time as ZIP tools expect
+    function dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+        };
+    }
+
+    // Little-endian header record from [value, byteLength] fields
+    function record(fields) {
+        const size = fields.reduce((sum, [, length]) => sum + length, 0);
+        const view = new DataView(new ArrayBuffer(size));
+        let offset = 0;
+        for (const [value, length] of fields) {
+            if (length === 4) view.setUint32(offset, value, true);
+            else view.setUint16(offset, value, true);
+            offset += length;
+        }
+        return new Uint8Array(view.buffer);
+    }
+
+    // For the XML documents inside the archives (manifests, EPUB files)
+    function escapeXml(text) {
+        return String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+    }
+
+    class ZipWriter {
+        constructor() {
+            this.blob = new Blob([]);
+            this.entries = [];
+            this.modified = dosDateTime(new Date());
+        }
+
+        // data: a string (written as UTF-8), typed array or Blob
+        async addFile(name, data) {
+            const bytes = typeof data === 'string' ? new TextEncoder().encode(data)
+                : data instanceof Blob ? new Uint8Array(await data.arrayBuffer())
+                : data;
+            const nameBytes = new TextEncoder().encode(name);
+            const entry = { nameBytes, crc: crc32(bytes), size: bytes.length, offset: this.blob.size };
+
+            const header = record([
+                [0x04034b50, 4], // local file header signature
+                [20, 2], // version needed to extract (2.0)
+                [0x0800, 2], // flags: UTF-8 file names
+                [0, 2], // method: stored
+                [this.modified.time, 2],
+                [this.modified.date, 2],
+                [entry.crc, 4],
+                [entry.size, 4], // compressed size
+                [entry.size, 4], // uncompressed size
+                [nameBytes.length, 2],
+                [0, 2], // extra field length
+            ]);
+            this.blob = new Blob([this.blob, header, nameBytes, data instanceof Blob ? data : bytes]);
+            this.entries.push(entry);
+        }
+
+        // Writes the central directory and returns the finished archive
+        finish(type = 'application/zip') {
+            const centralOffset = this.blob.size;
+            const parts = [];
+            let centralSize = 0;
+
+            for (const entry of this.entries) {
+                const header = record([
+                    [0x02014b50, 4], // central directory header signature
+                    [20, 2], // version made by
+                    [20, 2], // version needed to extract
+                    [0x0800, 2],
+                    [0, 2],
+                    [this.modified.time, 2],
+                    [this.modified.date, 2],
+                    [entry.crc, 4],
+                    [entry.size, 4],
+                    [entry.size, 4],
+                    [entry.nameBytes.length, 2],
+                    [0, 2], // extra field length
+                    [0, 2], // comment length
+                    [0, 2], // disk number
+                    [0, 2], // internal attributes
+                    [0, 4], // external attributes
+                    [entry.offset, 4],
+                ]);
+                parts.push(header, entry.nameBytes);
+                centralSize += header.length + entry.nameBytes.length;
+            }
+
+            const end = record([
+                [0x06054b50, 4], // end of central directory signature
+                [0, 2], // this disk
+                [0, 2], // disk with the central directory
+                [this.entries.length, 2],
+                [this.entries.length, 2],
+                [centralSize, 4],
+                [centralOffset, 4],
+                [0, 2], // comment length
+            ]);
+
+            return new Blob([this.blob, ...parts, end], { type });
+        }
+    }
+
+    ZipWriter.escapeXml = escapeXml;
+
+    globalThis.ZipWriter = ZipWriter;
+})();